@@ -0,0 +1,271 @@
+/**
+ * Times building, sorting and running layered graphs of growing size, to keep an eye on how PigeonKeeper scales
+ * <br />
+ * Everything is timed twice: "before" with the code of the baseline commit (the first one, where the digraph still kept
+ * its edges in arrays and every state change went over the whole graph), which is read from the git history, and
+ * "after" with the current code. Both PKs get the same graph of services that succeed on the next tick. A baseline run
+ * gets slower with about the cube of the graph size, so it is only timed up to BASELINE_RUN_MAX_VERTICES vertices.
+ *
+ * Usage: node benchmark/large-graph.js [numberOfVertices...]
+ */
+
+var childProcess = require("child_process");
+var events = require("events");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var PigeonKeeper = require("../lib/pigeonkeeper");
+var Digraph = require("../lib/digraph");
+
+var BASELINE_COMMIT = "64057cf";
+var BASELINE_FILES = ["digraph.js", "vertex.js", "pigeonkeeper.js"];
+var BASELINE_RUN_MAX_VERTICES = 1000;
+var LAYER_WIDTH = 50;           // Vertices per layer; each vertex depends on up to PARENTS_PER_VERTEX vertices of the layer above
+var PARENTS_PER_VERTEX = 3;
+var DEFAULT_SIZES = [500, 1000, 2000, 4000];
+
+var silentLogger = {"addLog": function () {}};
+
+
+/**
+ * Loads the baseline's lib from the git history, through a temporary directory that is gone again once it is loaded
+ *
+ * @returns {Object} {PigeonKeeper, Digraph}; null if the git history isn't there (e.g. in an installed package)
+ */
+function loadBaseline()
+{
+    var dir;
+
+    try
+    {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "pigeonkeeper-baseline-"));
+
+        BASELINE_FILES.forEach(function (file)
+        {
+            var source = childProcess.execFileSync("git", ["show", BASELINE_COMMIT + ":lib/" + file],
+                {"cwd": __dirname, "encoding": "utf8", "stdio": ["ignore", "pipe", "ignore"]});
+
+            fs.writeFileSync(path.join(dir, file), source);
+        });
+
+        return {"PigeonKeeper": require(path.join(dir, "pigeonkeeper.js")), "Digraph": require(path.join(dir, "digraph.js"))};
+    }
+    catch(err)
+    {
+        return null;
+    }
+    finally
+    {
+        if(dir)
+        {
+            fs.rmSync(dir, {"recursive": true, "force": true});
+        }
+    }
+}
+
+/**
+ * Calls fn once and returns how long that took, in milliseconds
+ *
+ * @param {Function} fn
+ * @returns {number}
+ */
+function time(fn)
+{
+    var start = process.hrtime();
+    fn();
+    var elapsed = process.hrtime(start);
+    return elapsed[0] * 1e3 + elapsed[1] / 1e6;
+}
+
+/**
+ * Lists the edges of a layered graph with the given number of vertices
+ *
+ * @param {number} numVertices
+ * @returns {Array} [startVertexId, endVertexId] pairs
+ */
+function layeredEdges(numVertices)
+{
+    var edges = [];
+
+    for(var i = LAYER_WIDTH; i < numVertices; i++)
+    {
+        var layerStart = Math.floor(i / LAYER_WIDTH) * LAYER_WIDTH - LAYER_WIDTH;
+
+        for(var j = 0; j < PARENTS_PER_VERTEX; j++)
+        {
+            var parent = layerStart + (i * 7 + j * 13) % LAYER_WIDTH;
+
+            if(edges.length == 0 || edges[edges.length - 1][0] != "v" + parent || edges[edges.length - 1][1] != "v" + i)
+            {
+                edges.push(["v" + parent, "v" + i]);
+            }
+        }
+    }
+
+    return edges;
+}
+
+/**
+ * Adds the edges to a digraph or PK, skipping duplicates (the layout doesn't bother avoiding those)
+ *
+ * @param {Object} target - Digraph or PK
+ * @param {Array} edges
+ */
+function addEdges(target, edges)
+{
+    for(var i = 0; i < edges.length; i++)
+    {
+        try {target.addEdge(edges[i][0], edges[i][1]);} catch(err) {}
+    }
+}
+
+/**
+ * Builds a bare digraph over a layered graph, and times that and sorting it
+ *
+ * @param {Function} DigraphConstructor - The current Digraph, or the baseline's
+ * @param {number} numVertices
+ * @param {Array} edges
+ * @returns {Object} {digraph, buildMs, sortMs}
+ */
+function timeDigraph(DigraphConstructor, numVertices, edges)
+{
+    var digraph = new DigraphConstructor("benchmark");
+
+    var buildMs = time(function ()
+    {
+        for(var i = 0; i < numVertices; i++)
+        {
+            digraph.addVertex("v" + i, null);
+        }
+
+        addEdges(digraph, edges);
+    });
+
+    var sortMs = time(function () {digraph.topologicalSort();});
+
+    return {"digraph": digraph, "buildMs": buildMs, "sortMs": sortMs};
+}
+
+/**
+ * Builds a PK over a layered graph of services that succeed on the next tick, and times that and running it
+ *
+ * @param {Function} PigeonKeeperConstructor - The current PigeonKeeper, or the baseline's
+ * @param {number} numVertices
+ * @param {Array} edges
+ * @returns {Promise} Of {buildMs, runMs, success}
+ */
+function timePigeonKeeper(PigeonKeeperConstructor, numVertices, edges)
+{
+    var runStart;
+
+    return new Promise(function (resolve)
+    {
+        var pk;
+
+        // The baseline has no "no limit", so the limit is the number of vertices
+        var buildMs = time(function ()
+        {
+            pk = new PigeonKeeperConstructor("benchmark", function (err)
+            {
+                var elapsed = process.hrtime(runStart);
+
+                resolve({"buildMs": buildMs, "runMs": elapsed[0] * 1e3 + elapsed[1] / 1e6, "success": !err});
+            }, false, numVertices, silentLogger, {});
+
+            for(var i = 0; i < numVertices; i++)
+            {
+                addService(pk, "v" + i);
+            }
+
+            addEdges(pk, edges);
+        });
+
+        runStart = process.hrtime();
+        pk.start({});
+    });
+}
+
+/**
+ * Adds a vertex whose service succeeds on the next tick
+ *
+ * @param {Object} pk
+ * @param {string} vertexId
+ */
+function addService(pk, vertexId)
+{
+    var service = new events.EventEmitter();
+
+    pk.addVertex(vertexId, service, function () {process.nextTick(function () {service.emit("success", true);});});
+}
+
+/**
+ * Benchmarks one graph size
+ *
+ * @param {Object} baseline - See loadBaseline
+ * @param {number} numVertices
+ * @returns {Promise}
+ */
+function benchmark(baseline, numVertices)
+{
+    var edges = layeredEdges(numVertices);
+    var digraphBefore = baseline ? timeDigraph(baseline.Digraph, numVertices, edges) : null;
+    var digraphAfter = timeDigraph(Digraph, numVertices, edges);
+    var runBaseline = baseline && numVertices <= BASELINE_RUN_MAX_VERTICES;
+    var pkBefore = null;
+
+    return (runBaseline ? timePigeonKeeper(baseline.PigeonKeeper, numVertices, edges) : Promise.resolve(null)).then(function (timings)
+    {
+        pkBefore = timings;
+        return timePigeonKeeper(PigeonKeeper, numVertices, edges);
+    }).then(function (pkAfter)
+    {
+        console.log(pad(numVertices, 8) + pad(digraphAfter.digraph.edgeCount(), 8) +
+            pad(ms(digraphBefore && digraphBefore.buildMs), 10) + pad(ms(digraphAfter.buildMs), 10) +
+            pad(ms(digraphBefore && digraphBefore.sortMs), 10) + pad(ms(digraphAfter.sortMs), 10) +
+            pad(ms(pkBefore && pkBefore.buildMs), 10) + pad(ms(pkAfter.buildMs), 10) +
+            pad(ms(pkBefore && pkBefore.runMs), 10) + pad(ms(pkAfter.runMs), 10) +
+            "   " + (pkAfter.success && (!pkBefore || pkBefore.success) ? "ok" : "FAILED"));
+    });
+}
+
+/**
+ * Writes a duration down for the table; "-" if it wasn't timed
+ *
+ * @param {number} duration - In milliseconds, or null
+ * @returns {string}
+ */
+function ms(duration)
+{
+    return duration === null ? "-" : duration.toFixed(1);
+}
+
+/**
+ * Right-aligns a value in a column
+ *
+ * @param {*} value
+ * @param {number} width
+ * @returns {string}
+ */
+function pad(value, width)
+{
+    var str = String(value);
+    return new Array(Math.max(width - str.length, 0) + 1).join(" ") + str;
+}
+
+var sizes = process.argv.length > 2 ? process.argv.slice(2).map(Number) : DEFAULT_SIZES;
+var baseline = loadBaseline();
+
+if(!baseline)
+{
+    console.log("The baseline (commit " + BASELINE_COMMIT + ") isn't in the git history here, so only the current code is timed");
+}
+
+console.log("Times in ms, before (baseline commit " + BASELINE_COMMIT + ") and after (current code); a baseline run is only timed up to " +
+    BASELINE_RUN_MAX_VERTICES + " vertices\n");
+console.log(pad("", 16) + pad("digraph build", 20) + pad("digraph sort", 20) + pad("PK build", 20) + pad("PK run", 20));
+console.log(pad("vertices", 8) + pad("edges", 8) + [0, 1, 2, 3].map(function () {return pad("before", 10) + pad("after", 10);}).join(""));
+
+sizes.reduce(function (previous, numVertices)
+{
+    return previous.then(function () {return benchmark(baseline, numVertices);});
+}, Promise.resolve());
@@ -0,0 +1,72 @@
+/**
+ * Compares the makespan (start to end of a run) of the scheduling strategies on a capped run, where a long chain of
+ * vertices competes with lots of short, independent ones for the few slots there are
+ *
+ * Usage: node benchmark/scheduling.js [maxNumberOfRunningProcesses]
+ */
+
+var PigeonKeeper = require("../lib/pigeonkeeper");
+
+var CHAIN_LENGTH = 8;
+var NUMBER_OF_SHORT_VERTICES = 24;
+var TASK_DURATION = 10;         // In milliseconds, for every vertex
+var STRATEGIES = ["fifo", "priority", "criticalPath"];
+
+var silentLogger = {"addLog": function () {}};
+
+
+/**
+ * A task that takes TASK_DURATION ms
+ *
+ * @returns {Promise}
+ */
+function task()
+{
+    return new Promise(function (resolve) {setTimeout(resolve, TASK_DURATION);});
+}
+
+/**
+ * Runs the graph once with the given strategy and reports how long it took
+ *
+ * @param {string} strategy - Name of a scheduling strategy
+ * @param {number} maxNumberOfRunningProcesses - The cap
+ * @returns {Promise}
+ */
+function benchmark(strategy, maxNumberOfRunningProcesses)
+{
+    var pk = new PigeonKeeper("scheduling", null, false, maxNumberOfRunningProcesses, silentLogger, {});
+
+    pk.setSchedulingStrategy(strategy);
+
+    // The short vertices are added first, so plain FIFO lets them crowd out the chain
+    for(var i = 0; i < NUMBER_OF_SHORT_VERTICES; i++)
+    {
+        pk.addTask("short" + i, task);
+    }
+
+    for(var i = 0; i < CHAIN_LENGTH; i++)
+    {
+        pk.addTask("chain" + i, task, {"priority": 1});
+
+        if(i > 0)
+        {
+            pk.addEdge("chain" + (i - 1), "chain" + i);
+        }
+    }
+
+    var start = Date.now();
+
+    return pk.start({}).then(function ()
+    {
+        console.log(strategy + new Array(16 - strategy.length).join(" ") + (Date.now() - start) + " ms");
+    });
+}
+
+var cap = process.argv.length > 2 ? Number(process.argv[2]) : 2;
+
+console.log("Makespan with at most " + cap + " vertices running at once:");
+
+STRATEGIES.reduce(function (previous, strategy)
+{
+    return previous.then(function () {return benchmark(strategy, cap);});
+}, Promise.resolve());
@@ -0,0 +1,610 @@
+/**
+ * Turns plain (JSON-friendly) graph definitions into PKs and back again
+ *
+ * A definition looks like:
+ * <pre>
+ * {
+ *     "name": "nightly-import",
+ *     "failurePolicy": "continue",
+ *     "concurrency": 4,
+ *     "schedulingStrategy": "criticalPath",
+ *     "resourcePools": {"db": 2},
+ *     "dataFlow": false,
+ *     "defaultTimeout": 60000,
+ *     "defaultRetry": {"maxAttempts": 2, "retryOn": "isTransient"},
+ *     "runTimeout": 0,
+ *     "vertices": [
+ *         {"id": "fetch", "task": "fetchFiles", "options": {"retry": {"maxAttempts": 3, "retryOn": "isTransient"}}},
+ *         {"id": "load", "task": "loadFiles", "dependsOn": ["fetch"], "options": {"resources": {"db": 1}}},
+ *         {"id": "convert", "map": {"items": "listedFiles", "task": "convertFile", "concurrency": 4}, "dependsOn": ["fetch"]},
+ *         {"id": "publish", "subgraph": {"definition": {"name": "publish", "vertices": [...]}}, "dependsOn": ["load", "convert"]}
+ *     ],
+ *     "edges": [
+ *         {"from": "load", "to": "report", "condition": "hasNewRows"}
+ *     ]
+ * }
+ * </pre>
+ * Functions can't be written down in JSON, so tasks, edge conditions, retryOn functions and scheduling comparators are
+ * given by name (so is the retryOn of the defaultRetry) and looked up in a task registry: an object whose values are task functions (see addTask),
+ * {service, serviceStart} objects (see addVertex), or plain functions for the rest. A map vertex (see addMap) has a map
+ * instead of a task, naming its items selector and task factory; a subgraph vertex (see addSubgraph) has a subgraph,
+ * holding the inner PK's definition (which uses the same registry) and optionally naming its sharedData function. A
+ * schedulingStrategy is looked up in the registry unless it names one of the built-in strategies (see scheduler.js).
+ */
+
+var errors = require("./errors");
+var scheduler = require("./scheduler");
+
+// The keys each part of a definition can have; any other key is a mistake (a typo, most likely)
+var DEFINITION_KEYS = ["name", "failurePolicy", "concurrency", "schedulingStrategy", "resourcePools", "dataFlow", "defaultTimeout",
+    "defaultRetry", "runTimeout", "vertices", "edges"];
+var VERTEX_KEYS = ["id", "task", "map", "subgraph", "dependsOn", "options"];
+var MAP_KEYS = ["items", "task", "concurrency"];
+var SUBGRAPH_KEYS = ["definition", "sharedData"];
+var EDGE_KEYS = ["from", "to", "condition"];
+var OPTION_KEYS = ["timeout", "retry", "priority", "resources", "trigger"];
+var RETRY_KEYS = ["maxAttempts", "backoff", "delay", "maxDelay", "jitter", "retryOn"];
+
+/**
+ * Checks a definition against a task registry, throwing a DefinitionError for the first problem found; that includes
+ * a key that doesn't belong, at any level (e.g. "depends_on" instead of "dependsOn")
+ *
+ * @param {Object} definition - The definition
+ * @param {Object} taskRegistry - Implementations, by name
+ * @param {string} basePath - Optional; where the definition is, when it is that of a subgraph vertex in another one
+ */
+function validateDefinition(definition, taskRegistry, basePath)
+{
+    var vertexIds = [];
+
+    function at(path)
+    {
+        return basePath === undefined ? path : (path == "(root)" ? basePath : basePath + "." + path);
+    }
+
+    function rejectUnknownKeys(object, knownKeys, path)
+    {
+        for(var key in object)
+        {
+            if(knownKeys.indexOf(key) == -1)
+            {
+                throw new errors.DefinitionError(at(path === undefined ? key : path + "." + key), "unknown key; the keys are " + knownKeys.join(", "));
+            }
+        }
+    }
+
+    if(!isObject(definition))
+    {
+        throw new errors.DefinitionError(at("(root)"), "the definition must be an object");
+    }
+
+    rejectUnknownKeys(definition, DEFINITION_KEYS);
+
+    if(typeof definition.name !== "string" || definition.name === "")
+    {
+        throw new errors.DefinitionError(at("name"), "must be a non-empty string");
+    }
+    else if(!Array.isArray(definition.vertices))
+    {
+        throw new errors.DefinitionError(at("vertices"), "must be an array");
+    }
+    else if(definition.edges !== undefined && !Array.isArray(definition.edges))
+    {
+        throw new errors.DefinitionError(at("edges"), "must be an array");
+    }
+
+    if(definition.resourcePools !== undefined && !isObject(definition.resourcePools))
+    {
+        throw new errors.DefinitionError(at("resourcePools"), "must be an object");
+    }
+
+    if(definition.schedulingStrategy !== undefined && !scheduler.isValidStrategy(definition.schedulingStrategy))
+    {
+        lookUpFunction(taskRegistry, definition.schedulingStrategy, at("schedulingStrategy"));
+    }
+
+    if(isObject(definition.defaultRetry))
+    {
+        rejectUnknownKeys(definition.defaultRetry, RETRY_KEYS, "defaultRetry");
+    }
+
+    if(isObject(definition.defaultRetry) && definition.defaultRetry.retryOn !== undefined)
+    {
+        lookUpFunction(taskRegistry, definition.defaultRetry.retryOn, at("defaultRetry.retryOn"));
+    }
+
+    // First pass: IDs and implementations, so that edges may point to vertices listed further down
+    for(var i = 0; i < definition.vertices.length; i++)
+    {
+        var vertex = definition.vertices[i];
+        var path = "vertices[" + i + "]";
+
+        if(!isObject(vertex))
+        {
+            throw new errors.DefinitionError(at(path), "must be an object");
+        }
+
+        rejectUnknownKeys(vertex, VERTEX_KEYS, path);
+
+        if(typeof vertex.id !== "string" || vertex.id === "")
+        {
+            throw new errors.DefinitionError(at(path + ".id"), "must be a non-empty string");
+        }
+        else if(vertexIds.indexOf(vertex.id) > -1)
+        {
+            throw new errors.DefinitionError(at(path + ".id"), "duplicate vertex ID " + vertex.id);
+        }
+        else if(vertex.options !== undefined && !isObject(vertex.options))
+        {
+            throw new errors.DefinitionError(at(path + ".options"), "must be an object");
+        }
+
+        rejectUnknownKeys(vertex.options, OPTION_KEYS, path + ".options");
+
+        if(vertex.options && isObject(vertex.options.retry))
+        {
+            rejectUnknownKeys(vertex.options.retry, RETRY_KEYS, path + ".options.retry");
+        }
+
+        if(vertex.map !== undefined)
+        {
+            if(!isObject(vertex.map))
+            {
+                throw new errors.DefinitionError(at(path + ".map"), "must be an object");
+            }
+
+            rejectUnknownKeys(vertex.map, MAP_KEYS, path + ".map");
+
+            lookUpFunction(taskRegistry, vertex.map.items, at(path + ".map.items"));
+            lookUpFunction(taskRegistry, vertex.map.task, at(path + ".map.task"));
+        }
+        else if(vertex.subgraph !== undefined)
+        {
+            if(!isObject(vertex.subgraph))
+            {
+                throw new errors.DefinitionError(at(path + ".subgraph"), "must be an object");
+            }
+
+            rejectUnknownKeys(vertex.subgraph, SUBGRAPH_KEYS, path + ".subgraph");
+
+            validateDefinition(vertex.subgraph.definition, taskRegistry, at(path + ".subgraph.definition"));
+
+            if(vertex.subgraph.sharedData !== undefined)
+            {
+                lookUpFunction(taskRegistry, vertex.subgraph.sharedData, at(path + ".subgraph.sharedData"));
+            }
+        }
+        else
+        {
+            lookUpTask(taskRegistry, vertex.task, at(path + ".task"));
+        }
+
+        if(vertex.options && isObject(vertex.options.retry) && vertex.options.retry.retryOn !== undefined)
+        {
+            lookUpFunction(taskRegistry, vertex.options.retry.retryOn, at(path + ".options.retry.retryOn"));
+        }
+
+        vertexIds.push(vertex.id);
+    }
+
+    for(var i = 0; i < definition.vertices.length; i++)
+    {
+        var dependsOn = definition.vertices[i].dependsOn;
+        var path = "vertices[" + i + "].dependsOn";
+
+        if(dependsOn !== undefined)
+        {
+            if(!Array.isArray(dependsOn))
+            {
+                throw new errors.DefinitionError(at(path), "must be an array");
+            }
+
+            for(var j = 0; j < dependsOn.length; j++)
+            {
+                if(vertexIds.indexOf(dependsOn[j]) == -1)
+                {
+                    throw new errors.DefinitionError(at(path + "[" + j + "]"), "there is no vertex with the ID " + dependsOn[j]);
+                }
+            }
+        }
+    }
+
+    var edges = definition.edges || [];
+
+    for(var i = 0; i < edges.length; i++)
+    {
+        var edge = edges[i];
+        var path = "edges[" + i + "]";
+
+        if(!isObject(edge))
+        {
+            throw new errors.DefinitionError(at(path), "must be an object");
+        }
+
+        rejectUnknownKeys(edge, EDGE_KEYS, path);
+
+        if(vertexIds.indexOf(edge.from) == -1)
+        {
+            throw new errors.DefinitionError(at(path + ".from"), "there is no vertex with the ID " + edge.from);
+        }
+        else if(vertexIds.indexOf(edge.to) == -1)
+        {
+            throw new errors.DefinitionError(at(path + ".to"), "there is no vertex with the ID " + edge.to);
+        }
+
+        if(edge.condition !== undefined)
+        {
+            lookUpFunction(taskRegistry, edge.condition, at(path + ".condition"));
+        }
+    }
+}
+
+/**
+ * Builds a PK from a definition; the definition is validated first (see validateDefinition), and a cycle makes addEdge
+ * throw a CycleError
+ *
+ * @param {Function} PigeonKeeper - The PigeonKeeper constructor
+ * @param {Object} definition - The definition
+ * @param {Object} taskRegistry - Implementations, by name
+ * @param {Object} options - Optional; what can't go in a definition: {finalCallback, logger, userObject}
+ * @returns {PigeonKeeper}
+ */
+function fromDefinition(PigeonKeeper, definition, taskRegistry, options)
+{
+    options = options || {};
+
+    validateDefinition(definition, taskRegistry);
+
+    var pk = new PigeonKeeper({
+        "name": definition.name,
+        "onComplete": options.finalCallback,
+        "failurePolicy": definition.failurePolicy,
+        "concurrency": definition.concurrency === null ? undefined : definition.concurrency,
+        "logger": options.logger,
+        "userObject": options.userObject,
+        "defaultTimeout": definition.defaultTimeout,
+        "defaultRetry": isObject(definition.defaultRetry) ? resolveOptions({"retry": definition.defaultRetry}, taskRegistry).retry : definition.defaultRetry,
+        "runTimeout": definition.runTimeout,
+        "schedulingStrategy": definition.schedulingStrategy === undefined || scheduler.isValidStrategy(definition.schedulingStrategy) ?
+            definition.schedulingStrategy : taskRegistry[definition.schedulingStrategy],
+        "resourcePools": definition.resourcePools,
+        "dataFlow": definition.dataFlow
+    });
+
+    for(var i = 0; i < definition.vertices.length; i++)
+    {
+        var vertex = definition.vertices[i];
+        var implementation = taskRegistry[vertex.task];
+        var vertexOptions = resolveOptions(vertex.options, taskRegistry);
+
+        if(vertex.map !== undefined)
+        {
+            vertexOptions.concurrency = vertex.map.concurrency;
+            pk.addMap(vertex.id, taskRegistry[vertex.map.items], taskRegistry[vertex.map.task], vertexOptions);
+        }
+        else if(vertex.subgraph !== undefined)
+        {
+            vertexOptions.taskRegistry = taskRegistry;
+            vertexOptions.sharedData = vertex.subgraph.sharedData !== undefined ? taskRegistry[vertex.subgraph.sharedData] : undefined;
+            pk.addSubgraph(vertex.id, vertex.subgraph.definition, vertexOptions);
+        }
+        else if(typeof implementation === "function")
+        {
+            pk.addTask(vertex.id, implementation, vertexOptions);
+        }
+        else
+        {
+            pk.addVertex(vertex.id, implementation.service, implementation.serviceStart, vertexOptions);
+        }
+    }
+
+    for(var i = 0; i < definition.vertices.length; i++)
+    {
+        var dependsOn = definition.vertices[i].dependsOn || [];
+
+        for(var j = 0; j < dependsOn.length; j++)
+        {
+            pk.addEdge(dependsOn[j], definition.vertices[i].id);
+        }
+    }
+
+    var edges = definition.edges || [];
+
+    for(var i = 0; i < edges.length; i++)
+    {
+        var edgeOptions = edges[i].condition !== undefined ? {"condition": taskRegistry[edges[i].condition]} : undefined;
+        pk.addEdge(edges[i].from, edges[i].to, edgeOptions);
+    }
+
+    return pk;
+}
+
+/**
+ * Writes a PK's graph down as a definition; every function in it must be in the task registry, so it can be named
+ *
+ * @param {Object} settings - {name, failurePolicy, concurrency, schedulingStrategy, resourcePools, dataFlow, defaultTimeout,
+ *                            defaultRetry, runTimeout}
+ * @param {Digraph} graph - The PK's graph
+ * @param {Object} taskRegistry - Implementations, by name
+ * @returns {Object}
+ */
+function toDefinition(settings, graph, taskRegistry)
+{
+    var definition = {
+        "name": settings.name,
+        "failurePolicy": settings.failurePolicy,
+        "concurrency": settings.concurrency === Infinity ? null : settings.concurrency,
+        "schedulingStrategy": typeof settings.schedulingStrategy === "function" ?
+            nameOf(taskRegistry, settings.schedulingStrategy, "schedulingStrategy") : settings.schedulingStrategy,
+        "resourcePools": copy(settings.resourcePools),
+        "dataFlow": settings.dataFlow,
+        "defaultTimeout": settings.defaultTimeout,
+        "defaultRetry": null,
+        "runTimeout": settings.runTimeout,
+        "vertices": [],
+        "edges": []
+    };
+
+    if(settings.defaultRetry)
+    {
+        definition.defaultRetry = copy(settings.defaultRetry);
+
+        if(definition.defaultRetry.retryOn === undefined)
+        {
+            delete definition.defaultRetry.retryOn;
+        }
+        else
+        {
+            definition.defaultRetry.retryOn = nameOf(taskRegistry, definition.defaultRetry.retryOn, "defaultRetry.retryOn");
+        }
+    }
+
+    var vertexIds = graph.getVertexIds();
+
+    for(var i = 0; i < vertexIds.length; i++)
+    {
+        var work = graph.getVertex(vertexIds[i]).data;
+        var path = "vertices[" + i + "]";
+        var vertex = {"id": vertexIds[i]};
+        var options = describeOptions(work.options, taskRegistry, path + ".options");
+
+        if(work.map)
+        {
+            vertex.map = {"items": nameOf(taskRegistry, work.map.items, path + ".map.items"), "task": nameOf(taskRegistry, work.map.taskFactory, path + ".map.task")};
+
+            if(work.map.concurrency > 0)
+            {
+                vertex.map.concurrency = work.map.concurrency;
+            }
+        }
+        else if(work.subgraph)
+        {
+            vertex.subgraph = {"definition": work.subgraph.pk.toDefinition(taskRegistry)};
+
+            if(work.subgraph.sharedData)
+            {
+                vertex.subgraph.sharedData = nameOf(taskRegistry, work.subgraph.sharedData, path + ".subgraph.sharedData");
+            }
+        }
+        else
+        {
+            vertex.task = nameOf(taskRegistry, work, path + ".task");
+        }
+
+        if(Object.keys(options).length > 0)
+        {
+            vertex.options = options;
+        }
+
+        definition.vertices.push(vertex);
+    }
+
+    var edgeInfo = graph.getEdgeInfo();
+
+    for(var i = 0; i < edgeInfo.startVertexIdArray.length; i++)
+    {
+        var edge = {"from": edgeInfo.startVertexIdArray[i], "to": edgeInfo.endVertexIdArray[i]};
+        var edgeData = edgeInfo.edgeDataArray[i];
+
+        if(edgeData && edgeData.condition)
+        {
+            edge.condition = nameOf(taskRegistry, edgeData.condition, "edges[" + i + "].condition");
+        }
+
+        definition.edges.push(edge);
+    }
+
+    return definition;
+}
+
+/**
+ * Copies a vertex's options from a definition, replacing the name of its retryOn function by the function itself
+ *
+ * @private
+ * @param {Object} options - Vertex options from the definition, if any
+ * @param {Object} taskRegistry - Implementations, by name
+ * @returns {Object}
+ */
+function resolveOptions(options, taskRegistry)
+{
+    var resolved = copy(options || {});
+
+    if(isObject(resolved.retry))
+    {
+        resolved.retry = copy(resolved.retry);
+
+        if(resolved.retry.retryOn !== undefined)
+        {
+            resolved.retry.retryOn = taskRegistry[resolved.retry.retryOn];
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * The reverse of resolveOptions: copies a vertex's options, replacing its retryOn function by its name
+ *
+ * @private
+ * @param {Object} options - The vertex's (validated) options
+ * @param {Object} taskRegistry - Implementations, by name
+ * @param {string} path - Where the options go in the definition
+ * @returns {Object}
+ */
+function describeOptions(options, taskRegistry, path)
+{
+    var described = copy(options || {});
+
+    if(described.retry)
+    {
+        described.retry = copy(described.retry);
+
+        if(described.retry.retryOn === undefined)
+        {
+            delete described.retry.retryOn;
+        }
+        else
+        {
+            described.retry.retryOn = nameOf(taskRegistry, described.retry.retryOn, path + ".retry.retryOn");
+        }
+    }
+
+    return described;
+}
+
+/**
+ * Finds the implementation of a vertex in the task registry
+ *
+ * @private
+ * @param {Object} taskRegistry - Implementations, by name
+ * @param {string} name - Name of the task
+ * @param {string} path - Where the name is in the definition
+ * @returns {*}
+ */
+function lookUpTask(taskRegistry, name, path)
+{
+    var implementation = lookUp(taskRegistry, name, path);
+
+    if(typeof implementation !== "function" &&
+        !(isObject(implementation) && implementation.service && typeof implementation.serviceStart === "function"))
+    {
+        throw new errors.DefinitionError(path, "task " + name + " must be a function or a {service, serviceStart} object");
+    }
+
+    return implementation;
+}
+
+/**
+ * Finds a function (an edge condition or a retryOn) in the task registry
+ *
+ * @private
+ * @param {Object} taskRegistry - Implementations, by name
+ * @param {string} name - Name of the function
+ * @param {string} path - Where the name is in the definition
+ * @returns {Function}
+ */
+function lookUpFunction(taskRegistry, name, path)
+{
+    var implementation = lookUp(taskRegistry, name, path);
+
+    if(typeof implementation !== "function")
+    {
+        throw new errors.DefinitionError(path, name + " must be a function");
+    }
+
+    return implementation;
+}
+
+/**
+ * Finds whatever the task registry holds under a name
+ *
+ * @private
+ * @param {Object} taskRegistry - Implementations, by name
+ * @param {string} name - Name of the implementation
+ * @param {string} path - Where the name is in the definition
+ * @returns {*}
+ */
+function lookUp(taskRegistry, name, path)
+{
+    if(typeof name !== "string")
+    {
+        throw new errors.DefinitionError(path, "must be the name of an entry in the task registry");
+    }
+    else if(!isObject(taskRegistry) || !Object.prototype.hasOwnProperty.call(taskRegistry, name))
+    {
+        throw new errors.DefinitionError(path, "unknown task " + name);
+    }
+
+    return taskRegistry[name];
+}
+
+/**
+ * Finds the name under which the task registry holds a vertex's work or a function
+ *
+ * @private
+ * @param {Object} taskRegistry - Implementations, by name
+ * @param {*} value - A vertex's work (see Run's launch) or a function
+ * @param {string} path - Where the name goes in the definition
+ * @returns {string}
+ */
+function nameOf(taskRegistry, value, path)
+{
+    for(var name in taskRegistry)
+    {
+        if(Object.prototype.hasOwnProperty.call(taskRegistry, name))
+        {
+            var implementation = taskRegistry[name];
+
+            if(implementation === value || (value.task && implementation === value.task) ||
+                (value.service && isObject(implementation) && implementation.service === value.service && implementation.serviceStart === value.serviceStart))
+            {
+                return name;
+            }
+        }
+    }
+
+    throw new errors.DefinitionError(path, "not found in the task registry, so it can't be named");
+}
+
+/**
+ * Is the value a plain object (and not null or an array)?
+ *
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value)
+{
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Makes a shallow copy of an object
+ *
+ * @private
+ * @param {Object} obj
+ * @returns {Object}
+ */
+function copy(obj)
+{
+    var result = {};
+
+    for(var key in obj)
+    {
+        if(obj.hasOwnProperty(key))
+        {
+            result[key] = obj[key];
+        }
+    }
+
+    return result;
+}
+
+if(typeof module !== "undefined")
+{
+    module.exports = {
+        validateDefinition: validateDefinition,
+        fromDefinition: fromDefinition,
+        toDefinition: toDefinition
+    };
+}
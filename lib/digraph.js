@@ -1,10 +1,14 @@
 var Vertex = require("./vertex");
+var errors = require("./errors");
 
-var VALID_STATES = ["NOT_READY", "READY", "IN_PROGRESS", "SUCCESS", "FAIL"];
+var VALID_STATES = ["NOT_READY", "READY", "IN_PROGRESS", "RETRYING", "SUCCESS", "SKIPPED", "FAIL", "CANCELLED"];
 
 
 /**
  * Creates a digraph
+ * <br />
+ * Vertices and edges are kept in Maps (adjacency lists both ways, keyed by vertex ID), so looking up a vertex, its parents
+ * or its children doesn't depend on the size of the digraph; iteration follows the order in which things were added
  *
  * @constructor
  * @param {string} pkGloballyUniqueId - GUID for digraph; passed-in from PigeonKeeper
@@ -14,12 +18,10 @@ function Digraph(pkGloballyUniqueId)
     var self = this;
 
     var pkGuid              = pkGloballyUniqueId;
-    var vertexArray         = [];       // Note: these three arrays are kept in parallel for ease of access as well as to increase search speed
-    var vertexIdArray       = [];
-    var vertexStateArray    = [];
-
-    var startVertexIdArray  = [];       // Note: these two arrays are how directed edges are stored
-    var endVertexIdArray    = [];
+    var vertices            = new Map();    // Vertex objects, by vertex ID
+    var childEdges          = new Map();    // By start vertex ID: a Map of the data of each edge leaving it, by end vertex ID
+    var parentIds           = new Map();    // By end vertex ID: a Set of the IDs of the vertices with an edge into it
+    var numEdges            = 0;
 
 
     /**
@@ -30,7 +32,7 @@ function Digraph(pkGloballyUniqueId)
      */
     this.hasVertexId = function (vertexId)
     {
-        return vertexIdArray.indexOf(vertexId) > -1;
+        return vertices.has(vertexId);
     };
 
     /**
@@ -42,17 +44,17 @@ function Digraph(pkGloballyUniqueId)
      */
     this.addVertex = function (id, data)
     {
-        if(vertexIdArray.indexOf(id) > -1)
+        if(vertices.has(id))
         {
-            throw new Error("Duplicate Vertex ID", "Vertex with the ID " + id + " already exists!");
+            throw new errors.DuplicateVertexError(id);
         }
         else
         {
             var newVertex = new Vertex(pkGuid, id, "NOT_READY", data);
             newVertex.parent = self;
-            vertexIdArray.push(id);
-            vertexStateArray.push("NOT_READY");
-            vertexArray.push(newVertex);
+            vertices.set(id, newVertex);
+            childEdges.set(id, new Map());
+            parentIds.set(id, new Set());
             return newVertex;
         }
     };
@@ -62,43 +64,38 @@ function Digraph(pkGloballyUniqueId)
      *
      * @param {string} startVertexId - Where the edge starts
      * @param {string} endVertexId - Where the edge ends
+     * @param {Object} data - Optional data object associated with the edge
      */
-    this.addEdge = function (startVertexId, endVertexId)
+    this.addEdge = function (startVertexId, endVertexId, data)
     {
-        if(vertexIdArray.indexOf(startVertexId) == -1)
+        if(!vertices.has(startVertexId))
         {
-            throw new Error("Start Vertex Not Found", "Start vertex (with the ID " + startVertexId + ") not found!");
+            throw new errors.VertexNotFoundError(startVertexId, "start");
         }
-        else if(vertexIdArray.indexOf(endVertexId) == -1)
+        else if(!vertices.has(endVertexId))
         {
-            throw new Error("End Vertex Not Found", "End vertex (with the ID " + endVertexId + ") not found!");
+            throw new errors.VertexNotFoundError(endVertexId, "end");
         }
         else if(startVertexId == endVertexId)
         {
-            throw new Error("Loops Not Allowed", "The start vertex and the end vertex are the same (vertex ID " + startVertexId + ")!");
+            throw new errors.CycleError([startVertexId]);
+        }
+        else if(childEdges.get(startVertexId).has(endVertexId))
+        {
+            throw new errors.EdgeExistsError(startVertexId, endVertexId);
         }
         else
         {
-            var numEdges = startVertexIdArray.length;
-            var duplicateEdgeFound = false;
+            // The new edge closes a cycle if we can already get back from its end to its start
+            var pathBack = this.findPath(endVertexId, startVertexId);
 
-            for(var i = 0; i < numEdges; i++)
+            if(pathBack)
             {
-                if(startVertexIdArray[i] == startVertexId && endVertexIdArray[i] == endVertexId)
-                {
-                    duplicateEdgeFound = true;
-                    break;
-                }
-            }
-
-            if(duplicateEdgeFound)
-            {
-                throw new Error("Edge Already Exists", "Edge (" + startVertexId + ", " + endVertexId + ") already exists!");
+                throw new errors.CycleError([startVertexId].concat(pathBack.slice(0, -1)));
             }
             else
             {
-                startVertexIdArray.push(startVertexId);
-                endVertexIdArray.push(endVertexId);
+                insertEdge(startVertexId, endVertexId, data);
             }
         }
     };
@@ -110,28 +107,29 @@ function Digraph(pkGloballyUniqueId)
      */
     this.removeVertex = function (vertexId)
     {
-        if(vertexIdArray.index(vertexId) == -1)
+        if(!vertices.has(vertexId))
         {
-            throw new Error("Vertex Not Found", "Vertex (with the ID " + vertexId + ") not found!");
+            throw new errors.VertexNotFoundError(vertexId);
         }
         else
         {
-            // First, remove it from the vertex arrays
-            var vertexIndex = vertexIdArray.indexOf(vertexId);
-            vertexIdArray.splice(vertexIndex, 1);
-            vertexStateArray.splice(vertexIndex, 1);
-            vertexArray.splice(vertexIndex, 1);
-
-            // Now remove the edges
-            var numEdges = startVertexIdArray.length;
-            for(var i = numEdges-1; i >= 0; i--)
+            // First, remove the edges
+            childEdges.get(vertexId).forEach(function (data, childVertexId)
             {
-                if(startVertexIdArray[i] == vertexId || endVertexIdArray[i] == vertexId)
-                {
-                    startVertexIdArray.splice(i, 1);
-                    endVertexIdArray.splice(i, 1);
-                }
-            }
+                parentIds.get(childVertexId).delete(vertexId);
+                numEdges--;
+            });
+
+            parentIds.get(vertexId).forEach(function (parentVertexId)
+            {
+                childEdges.get(parentVertexId).delete(vertexId);
+                numEdges--;
+            });
+
+            // Now remove the vertex itself
+            vertices.delete(vertexId);
+            childEdges.delete(vertexId);
+            parentIds.delete(vertexId);
         }
     };
 
@@ -143,28 +141,33 @@ function Digraph(pkGloballyUniqueId)
      */
     this.removeEdge = function (startVertexId, endVertexId)
     {
-        var numEdges = startVertexIdArray.length;
-        var edgeIndex = -1;
-
-        // NOTE: this next part assumes that no duplicate edges exist
-        for(var i = 0; i < numEdges; i++)
+        if(!hasEdge(startVertexId, endVertexId))
         {
-            if(startVertexIdArray[i] == startVertexId && endVertexIdArray[i] == endVertexId)
-            {
-                edgeIndex = i;
-                break;
-            }
+            throw new errors.EdgeNotFoundError(startVertexId, endVertexId);
         }
-
-        if(edgeIndex == -1)
+        else
         {
-            throw new Error("Edge Doesn't Exist", "Edge (" + startVertexId + ", " + endVertexId + ") does not exist!");
+            childEdges.get(startVertexId).delete(endVertexId);
+            parentIds.get(endVertexId).delete(startVertexId);
+            numEdges--;
         }
-        else
+    };
+
+    /**
+     * Gets the data object associated with the edge going from startVertexId to endVertexId
+     *
+     * @param {string} startVertexId - Where the edge starts
+     * @param {string} endVertexId - Where the edge ends
+     * @returns {*}
+     */
+    this.getEdgeData = function (startVertexId, endVertexId)
+    {
+        if(!hasEdge(startVertexId, endVertexId))
         {
-            startVertexIdArray.splice(edgeIndex, 1);
-            endVertexIdArray.splice(edgeIndex, 1);
+            throw new errors.EdgeNotFoundError(startVertexId, endVertexId);
         }
+
+        return childEdges.get(startVertexId).get(endVertexId);
     };
 
     /**
@@ -175,18 +178,7 @@ function Digraph(pkGloballyUniqueId)
      */
     this.getChildVertices = function (parentVertexId)
     {
-        var numEdges = startVertexIdArray.length;
-        var childVertices = [];
-
-        for(var i = 0; i < numEdges; i++)
-        {
-            if(startVertexIdArray[i] == parentVertexId)
-            {
-                childVertices.push(vertexArray[vertexIdArray.indexOf(endVertexIdArray[i])]);
-            }
-        }
-
-        return childVertices;
+        return this.getChildVertexIds(parentVertexId).map(function (vertexId) {return vertices.get(vertexId);});
     };
 
     /**
@@ -197,18 +189,7 @@ function Digraph(pkGloballyUniqueId)
      */
     this.getChildVertexIds = function (parentVertexId)
     {
-        var numEdges = startVertexIdArray.length;
-        var childVertexIds = [];
-
-        for(var i = 0; i < numEdges; i++)
-        {
-            if(startVertexIdArray[i] == parentVertexId)
-            {
-                childVertexIds.push(vertexArray[vertexIdArray.indexOf(endVertexIdArray[i])].id);
-            }
-        }
-
-        return childVertexIds;
+        return childEdges.has(parentVertexId) ? Array.from(childEdges.get(parentVertexId).keys()) : [];
     };
 
     /**
@@ -219,18 +200,7 @@ function Digraph(pkGloballyUniqueId)
      */
     this.getParentVertices = function (childVertexId)
     {
-        var numEdges = startVertexIdArray.length;
-        var parentVertices = [];
-
-        for(var i = 0; i < numEdges; i++)
-        {
-            if(endVertexIdArray[i] == childVertexId)
-            {
-                parentVertices.push(vertexArray[vertexIdArray.indexOf(startVertexIdArray[i])]);
-            }
-        }
-
-        return parentVertices;
+        return this.getParentVertexIds(childVertexId).map(function (vertexId) {return vertices.get(vertexId);});
     };
 
     /**
@@ -241,18 +211,7 @@ function Digraph(pkGloballyUniqueId)
      */
     this.getParentVertexIds = function (childVertexId)
     {
-        var numEdges = startVertexIdArray.length;
-        var parentVertexIds = [];
-
-        for(var i = 0; i < numEdges; i++)
-        {
-            if(endVertexIdArray[i] == childVertexId)
-            {
-                parentVertexIds.push(vertexArray[vertexIdArray.indexOf(startVertexIdArray[i])].id);
-            }
-        }
-
-        return parentVertexIds;
+        return parentIds.has(childVertexId) ? Array.from(parentIds.get(childVertexId)) : [];
     };
 
     /**
@@ -263,17 +222,7 @@ function Digraph(pkGloballyUniqueId)
      */
     this.indegree = function (vertexId)
     {
-        var numEdges = startVertexIdArray.length;
-        var count = 0;
-
-        for(var i = 0; i < numEdges; i++)
-        {
-            if(endVertexIdArray[i] == vertexId)
-            {
-                count++;
-            }
-        }
-        return count;
+        return parentIds.has(vertexId) ? parentIds.get(vertexId).size : 0;
     };
 
     /**
@@ -284,17 +233,7 @@ function Digraph(pkGloballyUniqueId)
      */
     this.outdegree = function (vertexId)
     {
-        var numEdges = startVertexIdArray.length;
-        var count = 0;
-
-        for(var i = 0; i < numEdges; i++)
-        {
-            if(startVertexIdArray[i] == vertexId)
-            {
-                count++;
-            }
-        }
-        return count;
+        return childEdges.has(vertexId) ? childEdges.get(vertexId).size : 0;
     };
 
     /**
@@ -304,16 +243,15 @@ function Digraph(pkGloballyUniqueId)
      */
     this.getVerticesWithIndegree0 = function ()
     {
-        var numVertices = vertexArray.length;
         var verticesWithIndegree0 = [];
 
-        for(var i = 0; i < numVertices; i++)
+        vertices.forEach(function (vertex, vertexId)
         {
-            if(endVertexIdArray.indexOf(vertexArray[i].id) == -1)
+            if(parentIds.get(vertexId).size == 0)
             {
-                verticesWithIndegree0.push(vertexArray[i]);
+                verticesWithIndegree0.push(vertex);
             }
-        }
+        });
 
         return verticesWithIndegree0;
     };
@@ -326,15 +264,15 @@ function Digraph(pkGloballyUniqueId)
      */
     this.getVertex = function (vertexId)
     {
-        var vertexIndex = vertexIdArray.indexOf(vertexId);
+        var vertex = vertices.get(vertexId);
 
-        if(vertexIndex == -1)
+        if(vertex === undefined)
         {
-            throw new Error("Vertex Not Found", "Vertex (with the ID " + vertexId + ") not found!");
+            throw new errors.VertexNotFoundError(vertexId);
         }
         else
         {
-            return vertexArray[vertexIndex];
+            return vertex;
         }
     };
 
@@ -345,15 +283,7 @@ function Digraph(pkGloballyUniqueId)
      */
     this.getVertexIds = function ()
     {
-        var vertexIds = [];
-        var numVertices = vertexArray.length;
-
-        for(var i = 0; i < numVertices; i++)
-        {
-            vertexIds.push(vertexIdArray[i]);
-        }
-
-        return vertexIds;
+        return Array.from(vertices.keys());
     };
 
     /**
@@ -363,7 +293,7 @@ function Digraph(pkGloballyUniqueId)
      */
     this.vertexCount = function ()
     {
-        return vertexArray.length;
+        return vertices.size;
     };
 
     /**
@@ -373,109 +303,228 @@ function Digraph(pkGloballyUniqueId)
      */
     this.edgeCount = function ()
     {
-        return startVertexIdArray.length;
+        return numEdges;
+    };
+
+    /**
+     * Finds a directed path from startVertexId to endVertexId (following edges), using a breadth-first search
+     *
+     * @param {string} startVertexId - Where the path starts
+     * @param {string} endVertexId - Where the path ends
+     * @returns {Array} IDs of the vertices along the path, including both ends; null if there is no such path
+     */
+    this.findPath = function (startVertexId, endVertexId)
+    {
+        var predecessors = new Map([[startVertexId, null]]);     // Doubles as the set of visited vertices
+        var queue = [startVertexId];
+
+        for(var head = 0; head < queue.length; head++)
+        {
+            var currentVertexId = queue[head];
+
+            if(currentVertexId == endVertexId)
+            {
+                var path = [endVertexId];
+
+                while(path[0] != startVertexId)
+                {
+                    path.unshift(predecessors.get(path[0]));
+                }
+
+                return path;
+            }
+
+            var children = childEdges.get(currentVertexId);
+
+            if(children)
+            {
+                children.forEach(function (data, childVertexId)
+                {
+                    if(!predecessors.has(childVertexId))
+                    {
+                        predecessors.set(childVertexId, currentVertexId);
+                        queue.push(childVertexId);
+                    }
+                });
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * Looks for a cycle in the digraph, using a depth-first search
+     *
+     * @returns {Array} IDs of the vertices forming a cycle, in edge order (the last one has an edge back to the first); null if the digraph is acyclic
+     */
+    this.findCycle = function ()
+    {
+        var finishedVertexIds = new Set();
+        var pathVertexIds = [];         // Vertices on the current DFS path - reaching one of them again means we went round in a circle
+        var onPath = new Set();
+
+        function visit(vertexId)
+        {
+            pathVertexIds.push(vertexId);
+            onPath.add(vertexId);
+
+            var childVertexIds = self.getChildVertexIds(vertexId);
+            var numChildren = childVertexIds.length;
+
+            for(var i = 0; i < numChildren; i++)
+            {
+                if(onPath.has(childVertexIds[i]))
+                {
+                    return pathVertexIds.slice(pathVertexIds.indexOf(childVertexIds[i]));
+                }
+                else if(!finishedVertexIds.has(childVertexIds[i]))
+                {
+                    var cycle = visit(childVertexIds[i]);
+
+                    if(cycle)
+                    {
+                        return cycle;
+                    }
+                }
+            }
+
+            pathVertexIds.pop();
+            onPath.delete(vertexId);
+            finishedVertexIds.add(vertexId);
+            return null;
+        }
+
+        var vertexIds = this.getVertexIds();
+
+        for(var i = 0; i < vertexIds.length; i++)
+        {
+            if(!finishedVertexIds.has(vertexIds[i]))
+            {
+                var cycle = visit(vertexIds[i]);
+
+                if(cycle)
+                {
+                    return cycle;
+                }
+            }
+        }
+
+        return null;
     };
 
     /**
      * Performs a topological sort on the vertices of the digraph, implemented using Kahn's algorithm <br />
      * See Wikipedia for details: {@link http://en.wikipedia.org/wiki/Topological_sort}
+     * <br />
+     * Leaves the digraph alone: instead of removing edges, it counts down how many unsorted parents each vertex has left
      *
-     * @returns {Array}
+     * @returns {Array} The vertices (objects) in topological order; empty if the digraph has a cycle
      */
     this.topologicalSort = function ()
     {
         // Based upon Kahn's algorithm from
         // http://en.wikipedia.org/wiki/Topological_sort
-
-        // Make a copy of the edge set, since Kahn's algorithm will destroy that info!
-        // We'll restore the info at the end
-        var edgeInfo = this.getEdgeInfo();
-
+        var remainingIndegrees = new Map();
         var L = [];
         var S = this.getVerticesWithIndegree0();
 
+        parentIds.forEach(function (parents, vertexId)
+        {
+            remainingIndegrees.set(vertexId, parents.size);
+        });
+
         while(S.length > 0)
         {
             var n = S.pop();
             L.push(n);
-            var childNodes = this.getChildVertices(n.id);
-            var numChildren = childNodes.length;
-            for(var i = 0; i < numChildren; i++)
+
+            childEdges.get(n.id).forEach(function (data, childVertexId)
             {
-                var m = childNodes[i];
-                this.removeEdge(n.id, m.id);
+                var remaining = remainingIndegrees.get(childVertexId) - 1;
+                remainingIndegrees.set(childVertexId, remaining);
 
-                if(this.indegree(m.id) == 0)
+                if(remaining == 0)
                 {
-                    S.push(m);
+                    S.push(vertices.get(childVertexId));
                 }
-            }
-        }
-        if(this.edgeCount() > 0)
-        {
-            this.setEdgeInfo(edgeInfo);
-            return [];
-        }
-        else
-        {
-            this.setEdgeInfo(edgeInfo);
-            return L;
+            });
         }
+
+        // Vertices on (or behind) a cycle never get down to 0 unsorted parents
+        return L.length < vertices.size ? [] : L;
     };
 
     /**
-     * Returns a clone of the start and end vertex arrays - used as part of the topological sort, since it is destructive
+     * Returns a copy of the edges as parallel arrays, e.g. to give another digraph the same edges (see setEdgeInfo)
      *
-     * @returns {{startVertexIdArray: *, endVertexIdArray: *}}
+     * @returns {{startVertexIdArray: *, endVertexIdArray: *, edgeDataArray: *}}
      */
     this.getEdgeInfo = function ()
     {
         var edgeInfo = {
-            "startVertexIdArray": clone(startVertexIdArray),
-            "endVertexIdArray": clone(endVertexIdArray)
+            "startVertexIdArray": [],
+            "endVertexIdArray": [],
+            "edgeDataArray": []
         };
 
+        childEdges.forEach(function (children, startVertexId)
+        {
+            children.forEach(function (data, endVertexId)
+            {
+                edgeInfo.startVertexIdArray.push(startVertexId);
+                edgeInfo.endVertexIdArray.push(endVertexId);
+                edgeInfo.edgeDataArray.push(data);
+            });
+        });
+
         return edgeInfo;
     };
 
     /**
-     * Sets the start and end vertex arrays - used as part of the topological sort, since it is destructive
+     * Replaces all the edges by those described by the given parallel arrays (see getEdgeInfo); they aren't checked for
+     * cycles, so they should come from a digraph that has checked them already
      *
      * @param edgeInfo
      */
     this.setEdgeInfo = function (edgeInfo)
     {
-        startVertexIdArray = clone(edgeInfo.startVertexIdArray);
-        endVertexIdArray = clone(edgeInfo.endVertexIdArray);
+        childEdges.forEach(function (children) {children.clear();});
+        parentIds.forEach(function (parents) {parents.clear();});
+        numEdges = 0;
+
+        for(var i = 0; i < edgeInfo.startVertexIdArray.length; i++)
+        {
+            // Edge info from before edges had data comes without an edgeDataArray
+            insertEdge(edgeInfo.startVertexIdArray[i], edgeInfo.endVertexIdArray[i], edgeInfo.edgeDataArray ? edgeInfo.edgeDataArray[i] : undefined);
+        }
     };
 
     /**
-     * Creates a deep copy of a JS object
-     * Code from {@link http://stackoverflow.com/questions/728360/most-elegant-way-to-clone-a-javascript-object}
+     * Is there an edge going from startVertexId to endVertexId?
      *
      * @private
-     * @param {Object} obj - Opject to clone
-     * @returns {*}
+     * @param {string} startVertexId - Where the edge starts
+     * @param {string} endVertexId - Where the edge ends
+     * @returns {boolean}
      */
-    function clone(obj)
+    function hasEdge(startVertexId, endVertexId)
     {
-        // Based upon http://stackoverflow.com/questions/728360/most-elegant-way-to-clone-a-javascript-object
-        if(obj == null || typeof obj != "object")
-        {
-            return obj;
-        }
-        else
-        {
-            var copy = obj.constructor();
-            for(var attr in obj)
-            {
-                if(obj.hasOwnProperty(attr))
-                {
-                    copy[attr] = obj[attr];
-                }
-            }
-            return copy;
-        }
+        return childEdges.has(startVertexId) && childEdges.get(startVertexId).has(endVertexId);
+    }
+
+    /**
+     * Stores an edge in both adjacency Maps, without any checks
+     *
+     * @private
+     * @param {string} startVertexId - Where the edge starts
+     * @param {string} endVertexId - Where the edge ends
+     * @param {Object} data - Data object associated with the edge, if any
+     */
+    function insertEdge(startVertexId, endVertexId, data)
+    {
+        childEdges.get(startVertexId).set(endVertexId, data);
+        parentIds.get(endVertexId).add(startVertexId);
+        numEdges++;
     }
 
     /**
@@ -485,18 +534,18 @@ function Digraph(pkGloballyUniqueId)
      */
     this.asString = function ()
     {
-        var numEdges = startVertexIdArray.length;
+        var edgeInfo = this.getEdgeInfo();
         var edgeArray = [];
 
         for(var i = 0; i < numEdges; i++)
         {
-            edgeArray.push({"start":startVertexIdArray[i], "end":endVertexIdArray[i]});
+            edgeArray.push({"start":edgeInfo.startVertexIdArray[i], "end":edgeInfo.endVertexIdArray[i]});
         }
 
         var str = "";
 
         str += "{" + "\n";
-        str += "     \"vertices\": " + JSON.stringify(vertexArray) + "," + "\n";
+        str += "     \"vertices\": " + JSON.stringify(Array.from(vertices.values())) + "," + "\n";
         str += "     \"edges\": " + JSON.stringify(edgeArray) + "\n";
         str += "}";
 
@@ -0,0 +1,420 @@
+/**
+ * Error classes used by PigeonKeeper
+ *
+ * Every error carries a machine-readable code, so callers can branch on err.code (or use instanceof)
+ * rather than parsing messages
+ */
+
+
+/**
+ * Base class for all PigeonKeeper errors
+ *
+ * @constructor
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable description
+ */
+function PigeonKeeperError(code, message)
+{
+    Error.call(this);
+
+    if(Error.captureStackTrace)
+    {
+        Error.captureStackTrace(this, this.constructor);
+    }
+
+    this.name = "PigeonKeeperError";
+    this.code = code;
+    this.message = message;
+}
+
+PigeonKeeperError.prototype.__proto__ = Error.prototype;
+
+
+/**
+ * There already is a vertex with that ID
+ *
+ * @constructor
+ * @param {string} vertexId - The ID
+ */
+function DuplicateVertexError(vertexId)
+{
+    PigeonKeeperError.call(this, "DUPLICATE_VERTEX", "Vertex with the ID " + vertexId + " already exists!");
+    this.name = "DuplicateVertexError";
+    this.vertexId = vertexId;
+}
+
+DuplicateVertexError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * There is no vertex with that ID
+ *
+ * @constructor
+ * @param {string} vertexId - The ID
+ * @param {string} role - Optional; "start" or "end" when the vertex was looked for as the start or end of an edge
+ */
+function VertexNotFoundError(vertexId, role)
+{
+    var what = role == "start" ? "Start vertex" : (role == "end" ? "End vertex" : "Vertex");
+
+    PigeonKeeperError.call(this, "VERTEX_NOT_FOUND", what + " (with the ID " + vertexId + ") not found!");
+    this.name = "VertexNotFoundError";
+    this.vertexId = vertexId;
+    this.role = role;
+}
+
+VertexNotFoundError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * There already is an edge between those vertices
+ *
+ * @constructor
+ * @param {string} startVertexId - Where the edge starts
+ * @param {string} endVertexId - Where the edge ends
+ */
+function EdgeExistsError(startVertexId, endVertexId)
+{
+    PigeonKeeperError.call(this, "EDGE_EXISTS", "Edge (" + startVertexId + ", " + endVertexId + ") already exists!");
+    this.name = "EdgeExistsError";
+    this.startVertexId = startVertexId;
+    this.endVertexId = endVertexId;
+}
+
+EdgeExistsError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * There is no edge between those vertices
+ *
+ * @constructor
+ * @param {string} startVertexId - Where the edge would start
+ * @param {string} endVertexId - Where the edge would end
+ */
+function EdgeNotFoundError(startVertexId, endVertexId)
+{
+    PigeonKeeperError.call(this, "EDGE_NOT_FOUND", "Edge (" + startVertexId + ", " + endVertexId + ") does not exist!");
+    this.name = "EdgeNotFoundError";
+    this.startVertexId = startVertexId;
+    this.endVertexId = endVertexId;
+}
+
+EdgeNotFoundError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * A change to the graph can't be made while a run is in progress, because a vertex it affects has already been started
+ * in that run (e.g. giving it another parent, or removing it while it is IN_PROGRESS)
+ *
+ * @constructor
+ * @param {string} vertexId - ID of the vertex
+ * @param {string} runId - ID of the run
+ * @param {string} change - What can't be done, e.g. "get another parent"
+ */
+function VertexStartedError(vertexId, runId, change)
+{
+    PigeonKeeperError.call(this, "VERTEX_STARTED", "Vertex " + vertexId + " has already been started in run " + runId + ", so it can't " + change);
+    this.name = "VertexStartedError";
+    this.vertexId = vertexId;
+    this.runId = runId;
+}
+
+VertexStartedError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * A vertex was given a state that isn't one of the valid states
+ *
+ * @constructor
+ * @param {*} state - The state
+ * @param {string} vertexId - ID of the vertex, if known
+ */
+function InvalidStateError(state, vertexId)
+{
+    PigeonKeeperError.call(this, "INVALID_STATE", "Invalid state" + (vertexId !== undefined ? " for vertex " + vertexId : "") + ": " + state);
+    this.name = "InvalidStateError";
+    this.state = state;
+    this.vertexId = vertexId;
+}
+
+InvalidStateError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * An option (or argument) given to PigeonKeeper doesn't hold up, e.g. a negative timeout or a retry policy without maxAttempts
+ *
+ * @constructor
+ * @param {string} option - Which option, e.g. "timeout" or "retry.maxAttempts"
+ * @param {string} message - Human-readable description
+ * @param {Object} details - Optional; whatever identifies what the option was given for, e.g. {vertexId} or
+ *                           {startVertexId, endVertexId}; copied onto the error
+ */
+function InvalidOptionError(option, message, details)
+{
+    PigeonKeeperError.call(this, "INVALID_OPTION", message);
+    this.name = "InvalidOptionError";
+    this.option = option;
+
+    for(var key in details)
+    {
+        this[key] = details[key];
+    }
+}
+
+InvalidOptionError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * There already is a resource pool with that name
+ *
+ * @constructor
+ * @param {string} poolName - The name
+ */
+function DuplicateResourcePoolError(poolName)
+{
+    PigeonKeeperError.call(this, "DUPLICATE_RESOURCE_POOL", "Resource pool " + poolName + " already exists!");
+    this.name = "DuplicateResourcePoolError";
+    this.poolName = poolName;
+}
+
+DuplicateResourcePoolError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * A vertex needs a resource pool that hasn't been added
+ *
+ * @constructor
+ * @param {string} poolName - Name of the pool
+ * @param {string} vertexId - ID of the vertex that needs it
+ */
+function ResourcePoolNotFoundError(poolName, vertexId)
+{
+    PigeonKeeperError.call(this, "RESOURCE_POOL_NOT_FOUND", "Vertex " + vertexId + " needs resource pool " + poolName + ", which hasn't been added");
+    this.name = "ResourcePoolNotFoundError";
+    this.poolName = poolName;
+    this.vertexId = vertexId;
+}
+
+ResourcePoolNotFoundError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * A run finished with at least one failed vertex
+ * <br />
+ * Like AggregateError, errors holds every underlying failure: a VertexFailedError for each vertex whose own work failed
+ *
+ * @constructor
+ * @param {string} message - Human-readable description
+ * @param {Object} report - The run report (see PigeonKeeper.start)
+ * @param {Array} errors - VertexFailedErrors of the vertices whose work failed
+ */
+function RunFailedError(message, report, errors)
+{
+    PigeonKeeperError.call(this, "RUN_FAILED", message);
+    this.name = "RunFailedError";
+    this.report = report;
+    this.errors = errors;
+    this.failedVertexIds = [];
+
+    for(var vertexId in report.vertices)
+    {
+        if(report.vertices[vertexId].state == "FAIL")
+        {
+            this.failedVertexIds.push(vertexId);
+        }
+    }
+}
+
+RunFailedError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * The work of a vertex failed (for good, i.e. after any retries)
+ *
+ * @constructor
+ * @param {string} vertexId - ID of the vertex
+ * @param {*} cause - What the work failed with
+ * @param {number} attempts - How many attempts were made
+ */
+function VertexFailedError(vertexId, cause, attempts)
+{
+    PigeonKeeperError.call(this, "VERTEX_FAILED", "Vertex " + vertexId + " failed" + (cause && cause.message !== undefined ? ": " + cause.message : ""));
+    this.name = "VertexFailedError";
+    this.vertexId = vertexId;
+    this.cause = cause;
+    this.attempts = attempts;
+}
+
+VertexFailedError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * An item of a map vertex (see PigeonKeeper.addMap) failed, which makes the whole map vertex FAIL
+ *
+ * @constructor
+ * @param {string} vertexId - ID of the map vertex
+ * @param {number} index - Index of the item
+ * @param {*} cause - What the item's task failed with
+ */
+function MapItemFailedError(vertexId, index, cause)
+{
+    PigeonKeeperError.call(this, "MAP_ITEM_FAILED", "Item " + index + " of map vertex " + vertexId + " failed" + (cause && cause.message !== undefined ? ": " + cause.message : ""));
+    this.name = "MapItemFailedError";
+    this.vertexId = vertexId;
+    this.index = index;
+    this.cause = cause;
+}
+
+MapItemFailedError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * The run of a subgraph vertex's inner PK (see PigeonKeeper.addSubgraph) didn't go well, which makes the subgraph vertex FAIL
+ *
+ * @constructor
+ * @param {string} vertexId - ID of the subgraph vertex
+ * @param {*} cause - What the inner run ended with (a RunFailedError, RunTimeoutError, ..., which carries the inner run's report)
+ */
+function SubgraphFailedError(vertexId, cause)
+{
+    PigeonKeeperError.call(this, "SUBGRAPH_FAILED", "Subgraph vertex " + vertexId + " failed" + (cause && cause.message !== undefined ? ": " + cause.message : ""));
+    this.name = "SubgraphFailedError";
+    this.vertexId = vertexId;
+    this.cause = cause;
+}
+
+SubgraphFailedError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * A vertex FAILed without running, because some of its parents FAILed
+ *
+ * @constructor
+ * @param {string} vertexId - ID of the vertex
+ * @param {Array} failedParentIds - IDs of the parents that FAILed
+ */
+function DependencyFailedError(vertexId, failedParentIds)
+{
+    PigeonKeeperError.call(this, "DEPENDENCY_FAILED", "Vertex " + vertexId + " failed because its parent(s) " + failedParentIds.join(", ") + " failed");
+    this.name = "DependencyFailedError";
+    this.vertexId = vertexId;
+    this.failedParentIds = failedParentIds;
+}
+
+DependencyFailedError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * The graph contains (or an edge would create) a cycle, so it has no topological order; an edge from a vertex to itself is a cycle too
+ *
+ * @constructor
+ * @param {Array} vertexIds - IDs of the vertices forming the cycle, in edge order; the last one has an edge back to the first
+ */
+function CycleError(vertexIds)
+{
+    PigeonKeeperError.call(this, "CYCLE", "Cycle detected: " + vertexIds.concat(vertexIds[0]).join(" -> "));
+    this.name = "CycleError";
+    this.vertexIds = vertexIds;
+}
+
+CycleError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * A vertex's work took longer than its timeout
+ *
+ * @constructor
+ * @param {string} vertexId - ID of the vertex whose work timed out
+ * @param {number} timeout - The timeout, in milliseconds
+ */
+function TaskTimeoutError(vertexId, timeout)
+{
+    PigeonKeeperError.call(this, "TASK_TIMEOUT", "Vertex " + vertexId + " timed out after " + timeout + " ms");
+    this.name = "TaskTimeoutError";
+    this.vertexId = vertexId;
+    this.timeout = timeout;
+}
+
+TaskTimeoutError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * A run didn't finish before its deadline; every vertex that was still unfinished fails with this error
+ *
+ * @constructor
+ * @param {string} runId - ID of the run that timed out
+ * @param {number} timeout - The deadline, in milliseconds after the start of the run
+ */
+function RunTimeoutError(runId, timeout)
+{
+    PigeonKeeperError.call(this, "RUN_TIMEOUT", "Run " + runId + " timed out after " + timeout + " ms");
+    this.name = "RunTimeoutError";
+    this.runId = runId;
+    this.timeout = timeout;
+}
+
+RunTimeoutError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * A run was aborted (see PigeonKeeper.abort); every vertex that was still unfinished is CANCELLED with this error
+ *
+ * @constructor
+ * @param {string} runId - ID of the run that was aborted
+ * @param {*} reason - Why it was aborted, as given to abort(), if at all
+ */
+function CancelledError(runId, reason)
+{
+    var because = reason === undefined ? "" : ": " + (reason && reason.message !== undefined ? reason.message : reason);
+
+    PigeonKeeperError.call(this, "CANCELLED", "Run " + runId + " was cancelled" + because);
+    this.name = "CancelledError";
+    this.runId = runId;
+    this.reason = reason;
+}
+
+CancelledError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+/**
+ * A graph definition (see PigeonKeeper.fromDefinition) doesn't hold up
+ *
+ * @constructor
+ * @param {string} path - Where in the definition the problem is, e.g. "vertices[2].task"
+ * @param {string} message - Human-readable description
+ */
+function DefinitionError(path, message)
+{
+    PigeonKeeperError.call(this, "INVALID_DEFINITION", "Invalid definition at " + path + ": " + message);
+    this.name = "DefinitionError";
+    this.path = path;
+}
+
+DefinitionError.prototype.__proto__ = PigeonKeeperError.prototype;
+
+
+if(typeof module !== "undefined")
+{
+    module.exports = {
+        PigeonKeeperError: PigeonKeeperError,
+        DuplicateVertexError: DuplicateVertexError,
+        VertexNotFoundError: VertexNotFoundError,
+        EdgeExistsError: EdgeExistsError,
+        EdgeNotFoundError: EdgeNotFoundError,
+        VertexStartedError: VertexStartedError,
+        InvalidStateError: InvalidStateError,
+        InvalidOptionError: InvalidOptionError,
+        DuplicateResourcePoolError: DuplicateResourcePoolError,
+        ResourcePoolNotFoundError: ResourcePoolNotFoundError,
+        RunFailedError: RunFailedError,
+        VertexFailedError: VertexFailedError,
+        MapItemFailedError: MapItemFailedError,
+        SubgraphFailedError: SubgraphFailedError,
+        DependencyFailedError: DependencyFailedError,
+        CycleError: CycleError,
+        TaskTimeoutError: TaskTimeoutError,
+        RunTimeoutError: RunTimeoutError,
+        CancelledError: CancelledError,
+        DefinitionError: DefinitionError
+    };
+}
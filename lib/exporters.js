@@ -0,0 +1,203 @@
+/**
+ * Renders a digraph as Graphviz DOT or as a Mermaid flowchart, for pasting into incident reports and the like
+ *
+ * When given the vertex details of a run (the vertices of a run report, or of overallState()), each node is colored by
+ * its state and annotated with the state, how long the vertex took and what it failed with. Conditional edges are dashed.
+ */
+
+var STATE_COLORS = {
+    "NOT_READY": "#ffffff",
+    "READY": "#cfe2ff",
+    "IN_PROGRESS": "#fff3b0",
+    "RETRYING": "#ffd8a8",
+    "SUCCESS": "#c3f0c8",
+    "SKIPPED": "#e0e0e0",
+    "FAIL": "#ffb3b3",
+    "CANCELLED": "#e5d4f5"
+};
+
+var MAX_ERROR_LENGTH = 80;      // Longer error messages are cut short, to keep nodes a reasonable size
+
+
+/**
+ * Renders a digraph as Graphviz DOT
+ *
+ * @param {Digraph} graph - The digraph
+ * @param {Object} options - Optional; {name, vertices}, where vertices holds the vertex details of a run, by vertex ID
+ * @returns {string}
+ */
+function toDot(graph, options)
+{
+    options = options || {};
+
+    var vertices = options.vertices || null;
+    var lines = [];
+
+    lines.push("digraph " + dotString(options.name || "PigeonKeeper") + " {");
+    lines.push("    node [shape=box, style=\"rounded,filled\", fillcolor=\"" + STATE_COLORS.NOT_READY + "\"];");
+
+    var vertexIds = graph.getVertexIds();
+
+    for(var i = 0; i < vertexIds.length; i++)
+    {
+        var details = vertices && vertices[vertexIds[i]];
+        var attributes = "label=" + dotString(nodeLabelLines(vertexIds[i], details).join("\n"));
+
+        if(details)
+        {
+            attributes += ", fillcolor=\"" + STATE_COLORS[details.state] + "\"";
+        }
+
+        lines.push("    " + dotString(vertexIds[i]) + " [" + attributes + "];");
+    }
+
+    var edgeInfo = graph.getEdgeInfo();
+
+    for(var i = 0; i < edgeInfo.startVertexIdArray.length; i++)
+    {
+        var edge = "    " + dotString(edgeInfo.startVertexIdArray[i]) + " -> " + dotString(edgeInfo.endVertexIdArray[i]);
+
+        if(isConditional(edgeInfo.edgeDataArray[i]))
+        {
+            edge += " [style=dashed]";
+        }
+
+        lines.push(edge + ";");
+    }
+
+    lines.push("}");
+
+    return lines.join("\n");
+}
+
+/**
+ * Renders a digraph as a Mermaid flowchart
+ *
+ * @param {Digraph} graph - The digraph
+ * @param {Object} options - Optional; {direction, vertices}, where direction is a Mermaid direction ("TD" by default, "LR", ...)
+ *                           and vertices holds the vertex details of a run, by vertex ID
+ * @returns {string}
+ */
+function toMermaid(graph, options)
+{
+    options = options || {};
+
+    var vertices = options.vertices || null;
+    var lines = [];
+    var nodeIds = {};           // Vertex IDs may hold anything, so nodes get IDs of their own
+    var statesUsed = [];
+
+    lines.push("flowchart " + (options.direction || "TD"));
+
+    var vertexIds = graph.getVertexIds();
+
+    for(var i = 0; i < vertexIds.length; i++)
+    {
+        var details = vertices && vertices[vertexIds[i]];
+        var label = nodeLabelLines(vertexIds[i], details).map(mermaidString).join("<br/>");
+
+        nodeIds[vertexIds[i]] = "v" + i;
+        lines.push("    " + nodeIds[vertexIds[i]] + "[\"" + label + "\"]");
+
+        if(details)
+        {
+            lines.push("    class " + nodeIds[vertexIds[i]] + " " + details.state);
+
+            if(statesUsed.indexOf(details.state) == -1)
+            {
+                statesUsed.push(details.state);
+            }
+        }
+    }
+
+    var edgeInfo = graph.getEdgeInfo();
+
+    for(var i = 0; i < edgeInfo.startVertexIdArray.length; i++)
+    {
+        var arrow = isConditional(edgeInfo.edgeDataArray[i]) ? " -.-> " : " --> ";
+        lines.push("    " + nodeIds[edgeInfo.startVertexIdArray[i]] + arrow + nodeIds[edgeInfo.endVertexIdArray[i]]);
+    }
+
+    for(var i = 0; i < statesUsed.length; i++)
+    {
+        lines.push("    classDef " + statesUsed[i] + " fill:" + STATE_COLORS[statesUsed[i]]);
+    }
+
+    return lines.join("\n");
+}
+
+/**
+ * Lines of text a node is labeled with: the vertex ID and, if known, its state, duration and error
+ *
+ * @private
+ * @param {string} vertexId - ID of the vertex
+ * @param {Object} details - The vertex's details in a run ({state, error, durationMs, ...}), if any
+ * @returns {Array}
+ */
+function nodeLabelLines(vertexId, details)
+{
+    var lines = [vertexId];
+
+    if(details)
+    {
+        lines.push(details.state + (details.durationMs !== null && details.durationMs !== undefined ? " (" + details.durationMs + " ms)" : ""));
+
+        if(details.error && (details.state == "FAIL" || details.state == "RETRYING"))
+        {
+            var message = details.error.message !== undefined ? String(details.error.message) : String(details.error);
+
+            if(message.length > MAX_ERROR_LENGTH)
+            {
+                message = message.substring(0, MAX_ERROR_LENGTH - 3) + "...";
+            }
+
+            lines.push(message);
+        }
+    }
+
+    return lines;
+}
+
+/**
+ * Does the edge data (see PigeonKeeper.addEdge) make the edge conditional?
+ *
+ * @private
+ * @param {Object} edgeData - The edge's data, if any
+ * @returns {boolean}
+ */
+function isConditional(edgeData)
+{
+    return !!(edgeData && edgeData.condition);
+}
+
+/**
+ * Quotes a string for DOT
+ *
+ * @private
+ * @param {string} str
+ * @returns {string}
+ */
+function dotString(str)
+{
+    return "\"" + String(str).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\r?\n/g, "\\n") + "\"";
+}
+
+/**
+ * Escapes the characters that would end or break a quoted Mermaid label
+ *
+ * @private
+ * @param {string} str
+ * @returns {string}
+ */
+function mermaidString(str)
+{
+    return String(str).replace(/"/g, "#quot;").replace(/</g, "#lt;").replace(/>/g, "#gt;").replace(/\r?\n/g, " ");
+}
+
+if(typeof module !== "undefined")
+{
+    module.exports = {
+        toDot: toDot,
+        toMermaid: toMermaid
+    };
+}
@@ -27,7 +27,7 @@ function GenericService(serviceId)
 
         if(SERVICE_ALWAYS_FAILS)
         {
-            var err = new Error("Service failed", "Service failed - it always does!");
+            var err = new Error("Service failed - it always does!");
             onServiceError(err, sharedData);
         }
         else
@@ -39,7 +39,7 @@ function GenericService(serviceId)
             }
             else
             {
-                var err = new Error("Service " + BAD_SERVICE_ID + " failed", "Service " + BAD_SERVICE_ID + " failed - it always does!");
+                var err = new Error("Service " + BAD_SERVICE_ID + " failed - it always does!");
                 onServiceError(err, sharedData);
             }
         }
@@ -0,0 +1,177 @@
+/**
+ * Journals record what happens in a run, so that a run cut short (say, by a crash) can be resumed without redoing the
+ * vertices that already SUCCEEDed (see PigeonKeeper.setJournal and PigeonKeeper.resume)
+ *
+ * A journal is any object with two methods:
+ * <ul>
+ * <li>append(entry) - stores an entry; may return a Promise, but runs don't wait for it</li>
+ * <li>read() - returns every entry stored so far, oldest first, or a Promise of them</li>
+ * </ul>
+ * Runs append these entries, each with its runId and time (ms):
+ * <ul>
+ * <li>{type: "runStart", runId, time, sharedData, resumedFrom} - resumedFrom is the ID of the run being resumed, if any</li>
+ * <li>{type: "stateChange", runId, time, vertexId, from, to, data, error} - data when the vertex became SUCCESS, error
+ *     when it became RETRYING, FAIL or CANCELLED</li>
+ * <li>{type: "runComplete", runId, time, success, error}</li>
+ * </ul>
+ * Several runs may share a journal; their entries are told apart by runId.
+ */
+
+var fs = require("fs");
+var errors = require("./errors");
+
+
+/**
+ * A journal that keeps its entries in memory; survives a run, but not the process
+ *
+ * @constructor
+ */
+function MemoryJournal()
+{
+    var entries = [];
+
+    /**
+     * Stores an entry
+     *
+     * @param {Object} entry - The entry
+     */
+    this.append = function (entry)
+    {
+        entries.push(entry);
+    };
+
+    /**
+     * Returns every entry stored so far
+     *
+     * @returns {Array}
+     */
+    this.read = function ()
+    {
+        return entries.slice();
+    };
+}
+
+
+/**
+ * A journal that keeps its entries in a local file, one JSON object per line; survives the process
+ * <br />
+ * Entries are written before the run carries on, so sharedData and vertex outputs should be JSON-friendly. Lines that
+ * were only partly written, because the process died halfway through, are skipped when reading.
+ *
+ * @constructor
+ * @param {string} filePath - Path of the file; created when the first entry is stored
+ */
+function FileJournal(filePath)
+{
+    var endChecked = false;         // Whether we know the file doesn't end in a partly written line
+
+    /**
+     * Appends an entry to the file
+     *
+     * @param {Object} entry - The entry
+     */
+    this.append = function (entry)
+    {
+        var line = JSON.stringify(entry) + "\n";
+
+        if(!endChecked)
+        {
+            // Don't let the entry run on from a line that a process which died left unfinished
+            if(fs.existsSync(filePath) && fs.statSync(filePath).size > 0 && !/\n$/.test(fs.readFileSync(filePath, "utf8")))
+            {
+                line = "\n" + line;
+            }
+
+            endChecked = true;
+        }
+
+        fs.appendFileSync(filePath, line);
+    };
+
+    /**
+     * Reads every entry from the file
+     *
+     * @returns {Array} Empty if the file doesn't exist (yet)
+     */
+    this.read = function ()
+    {
+        if(!fs.existsSync(filePath))
+        {
+            return [];
+        }
+
+        var lines = fs.readFileSync(filePath, "utf8").split("\n");
+        var entries = [];
+
+        for(var i = 0; i < lines.length; i++)
+        {
+            if(lines[i] !== "")
+            {
+                try
+                {
+                    entries.push(JSON.parse(lines[i]));
+                }
+                catch(err)
+                {
+                    // Partly written, so nothing of it can be trusted
+                }
+            }
+        }
+
+        return entries;
+    };
+}
+
+
+/**
+ * Works out from a journal's entries where its most recently started run got to
+ *
+ * @param {Array} entries - What the journal's read() returned
+ * @returns {{runId, sharedData, outputs}} outputs holds the data of every vertex that was SUCCESS, by vertex ID
+ */
+function checkpoint(entries)
+{
+    var runStart = null;
+
+    for(var i = entries.length - 1; i >= 0 && !runStart; i--)
+    {
+        if(entries[i].type == "runStart")
+        {
+            runStart = entries[i];
+        }
+    }
+
+    if(!runStart)
+    {
+        throw new errors.InvalidOptionError("journal", "The journal doesn't hold any run to resume");
+    }
+
+    var outputs = {};
+
+    for(var i = 0; i < entries.length; i++)
+    {
+        if(entries[i].type == "stateChange" && entries[i].runId == runStart.runId)
+        {
+            if(entries[i].to == "SUCCESS")
+            {
+                outputs[entries[i].vertexId] = entries[i].data;
+            }
+            else
+            {
+                // Moved on from SUCCESS (e.g. when states are set by hand), so its output no longer counts
+                delete outputs[entries[i].vertexId];
+            }
+        }
+    }
+
+    return {"runId": runStart.runId, "sharedData": runStart.sharedData, "outputs": outputs};
+}
+
+if(typeof module !== "undefined")
+{
+    module.exports = {
+        MemoryJournal: MemoryJournal,
+        FileJournal: FileJournal,
+        checkpoint: checkpoint
+    };
+}
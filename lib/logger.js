@@ -0,0 +1,166 @@
+/**
+ * Logging for PKs: a small adapter interface, plus adapters for the console and for the usual logging libraries
+ *
+ * A log adapter is any object with a log(level, message, fields) method:
+ * <ul>
+ * <li>level - "debug", "info", "warn" or "error"</li>
+ * <li>message - a short, plain description of what happened, e.g. "Vertex started"</li>
+ * <li>fields - what it happened to, as structured data: always pkGuid, and whichever of runId, vertexId, state, attempt,
+ *     durationMs and error apply</li>
+ * </ul>
+ * A winston logger already is one. The PK filters by level before calling the adapter (see PigeonKeeper.setLogLevel),
+ * so adapters needn't bother.
+ */
+
+var errors = require("./errors");
+
+var LEVELS = ["debug", "info", "warn", "error"];
+var LOG_LEVELS = LEVELS.concat(["silent"]);     // What a PK's minimum level can be; "silent" logs nothing at all
+
+
+/**
+ * Is it one of the levels a PK's minimum level can be set to?
+ *
+ * @param {*} level - The level
+ * @returns {boolean}
+ */
+function isValidLogLevel(level)
+{
+    return LOG_LEVELS.indexOf(level) > -1;
+}
+
+/**
+ * Is a message of a level worth logging, given a minimum level?
+ *
+ * @param {string} level - Level of the message
+ * @param {string} minLevel - The minimum level
+ * @returns {boolean}
+ */
+function isEnabled(level, minLevel)
+{
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(minLevel) && minLevel != "silent";
+}
+
+/**
+ * Turns the logger given to a PK into a log adapter
+ * <br />
+ * Besides adapters, this takes the loggers of old, which have an addLog(level, message, userObject) method: they get
+ * upper case levels, and the message prefixed with "PK-[pkGuid]: ", as they always did (whether or not there is a userObject)
+ *
+ * @param {Object} logger - What the PK was given; null or undefined for the console
+ * @param {Object} userObject - Passed on to an addLog method
+ * @returns {Object} The adapter
+ */
+function toAdapter(logger, userObject)
+{
+    if(logger === null || logger === undefined)
+    {
+        return consoleLogger();
+    }
+    else if(typeof logger.addLog === "function")
+    {
+        return {
+            "log": function (level, message, fields)
+            {
+                logger.addLog(level.toUpperCase(), "PK-" + fields.pkGuid + ": " + message + describeFields(fields, ["pkGuid"]), userObject);
+            }
+        };
+    }
+    else if(typeof logger.log === "function")
+    {
+        return logger;
+    }
+    else
+    {
+        throw new errors.InvalidOptionError("logger", "logger must have a log(level, message, fields) or an addLog(level, message, userObject) method");
+    }
+}
+
+/**
+ * A log adapter that writes to the console (or anything with the same methods), one line per message: debug and info to
+ * console.log, warn to console.warn and error to console.error
+ *
+ * @param {Object} target - Optional; the console to write to (the global one by default)
+ * @returns {Object}
+ */
+function consoleLogger(target)
+{
+    return {
+        "log": function (level, message, fields)
+        {
+            var out = target || console;
+            var write = level == "error" ? out.error : (level == "warn" ? out.warn : out.log);
+
+            write.call(out, "PK-" + fields.pkGuid + " " + level.toUpperCase() + ": " + message + describeFields(fields, ["pkGuid"]));
+        }
+    };
+}
+
+/**
+ * A log adapter for loggers whose level methods take the fields first, like pino and bunyan: logger.info(fields, message)
+ *
+ * @param {Object} logger - The logger
+ * @returns {Object}
+ */
+function pinoLogger(logger)
+{
+    return {
+        "log": function (level, message, fields)
+        {
+            logger[level](fields, message);
+        }
+    };
+}
+
+/**
+ * A log adapter for loggers whose level methods take the message first, like winston: logger.info(message, fields)
+ *
+ * @param {Object} logger - The logger
+ * @returns {Object}
+ */
+function winstonLogger(logger)
+{
+    return {
+        "log": function (level, message, fields)
+        {
+            logger[level](message, fields);
+        }
+    };
+}
+
+/**
+ * Writes fields down as " key=value ...", for loggers that only take text
+ *
+ * @private
+ * @param {Object} fields - The fields
+ * @param {Array} omit - Names of fields that are already in the text some other way
+ * @returns {string} Empty if there's nothing to add
+ */
+function describeFields(fields, omit)
+{
+    var text = "";
+
+    for(var name in fields)
+    {
+        if(omit.indexOf(name) == -1 && fields[name] !== undefined)
+        {
+            text += " " + name + "=" + (typeof fields[name] === "string" ? fields[name] : JSON.stringify(fields[name]));
+        }
+    }
+
+    return text;
+}
+
+if(typeof module !== "undefined")
+{
+    module.exports = {
+        LEVELS: LEVELS,
+        isValidLogLevel: isValidLogLevel,
+        isEnabled: isEnabled,
+        toAdapter: toAdapter,
+        consoleLogger: consoleLogger,
+        pinoLogger: pinoLogger,
+        bunyanLogger: pinoLogger,
+        winstonLogger: winstonLogger
+    };
+}
@@ -0,0 +1,203 @@
+var runTask = require("./task");
+var errors = require("./errors");
+
+
+/**
+ * Runs the work of a map vertex (see PigeonKeeper.addMap): selects the items, runs a task for each of them, no more than
+ * concurrency at once, and reports the outputs, in item order, exactly once
+ * <br />
+ * Each item's task is made by the task factory and called like any task (see task.js), with the map vertex's context
+ * plus {item, index}, and a signal of its own. The first item that fails makes the map fail with a MapItemFailedError:
+ * items that haven't started are CANCELLED, and those in progress are asked to stop (and CANCELLED too). When the map
+ * vertex's own signal is aborted (it timed out, or the run was aborted), the same goes for every unfinished item.
+ *
+ * @param {Object} map - {items, taskFactory, concurrency}: items(context) returns the items (or a Promise of them),
+ *                       taskFactory(item, index) returns the task for an item, and concurrency (0 for no limit) caps
+ *                       how many items run at once
+ * @param {Object} context - The map vertex's task context ({vertexId, inputs, sharedData or config, signal})
+ * @param {Function} callback - Called as callback(err, outputs) once the map is finished
+ * @returns {Array} Details of each item ({state, data, error, startTime, endTime, durationMs}), kept up to date as the
+ *                  items move on; empty until the items have been selected
+ */
+function runMap(map, context, callback)
+{
+    var itemDetails = [];
+    var items = [];
+    var controllers = [];       // AbortController of each item that has been started
+    var nextIndex = 0;
+    var numRunning = 0;
+    var numSucceeded = 0;
+    var finished = false;
+
+    function finish(err, outputs)
+    {
+        if(!finished)
+        {
+            finished = true;
+            callback(err, outputs);
+        }
+    }
+
+    function stopUnfinishedItems(reason)
+    {
+        for(var i = 0; i < itemDetails.length; i++)
+        {
+            if(itemDetails[i].state == "READY" || itemDetails[i].state == "IN_PROGRESS")
+            {
+                if(controllers[i])
+                {
+                    controllers[i].abort(reason);
+                }
+
+                setItemState(i, "CANCELLED");
+                itemDetails[i].error = reason;
+            }
+        }
+    }
+
+    function setItemState(index, state)
+    {
+        var details = itemDetails[index];
+
+        details.state = state;
+
+        if(state == "IN_PROGRESS")
+        {
+            details.startTime = Date.now();
+        }
+        else if(state != "READY")
+        {
+            details.endTime = Date.now();
+            details.durationMs = details.startTime !== null ? details.endTime - details.startTime : null;
+        }
+    }
+
+    function startItems()
+    {
+        while(!finished && nextIndex < items.length && (!(map.concurrency > 0) || numRunning < map.concurrency))
+        {
+            startItem(nextIndex++);
+        }
+    }
+
+    function startItem(index)
+    {
+        var itemContext = {};
+        var task;
+
+        for(var key in context)
+        {
+            itemContext[key] = context[key];
+        }
+
+        controllers[index] = typeof AbortController === "function" ? new AbortController() : null;
+        itemContext.item = items[index];
+        itemContext.index = index;
+        itemContext.signal = controllers[index] ? controllers[index].signal : null;
+
+        numRunning++;
+        setItemState(index, "IN_PROGRESS");
+
+        try
+        {
+            task = map.taskFactory(items[index], index);
+
+            if(typeof task !== "function")
+            {
+                throw new TypeError("Task factory of map vertex " + context.vertexId + " didn't return a function for item " + index);
+            }
+        }
+        catch(err)
+        {
+            onItemDone(index, err);
+            return;
+        }
+
+        runTask(task, itemContext, function (err, data) {onItemDone(index, err, data);});
+    }
+
+    function onItemDone(index, err, data)
+    {
+        if(itemDetails[index].state != "IN_PROGRESS")
+        {
+            // CANCELLED in the meantime, so whatever it reports is ignored
+            return;
+        }
+
+        numRunning--;
+
+        if(err)
+        {
+            var mapError = new errors.MapItemFailedError(context.vertexId, index, err);
+
+            itemDetails[index].error = err;
+            setItemState(index, "FAIL");
+            stopUnfinishedItems(mapError);
+            finish(mapError);
+        }
+        else
+        {
+            itemDetails[index].data = data;
+            setItemState(index, "SUCCESS");
+            numSucceeded++;
+
+            if(numSucceeded == items.length)
+            {
+                finish(null, itemDetails.map(function (details) {return details.data;}));
+            }
+            else
+            {
+                // On a tick of its own, so that items that finish right away can't pile up on the stack
+                process.nextTick(startItems);
+            }
+        }
+    }
+
+    if(context.signal)
+    {
+        context.signal.addEventListener("abort", function ()
+        {
+            finished = true;
+            stopUnfinishedItems(context.signal.reason);
+        });
+    }
+
+    Promise.resolve().then(function ()
+    {
+        return map.items(context);
+    }).then(function (selectedItems)
+    {
+        if(!Array.isArray(selectedItems))
+        {
+            throw new TypeError("Items of map vertex " + context.vertexId + " must be an array, got " + selectedItems);
+        }
+        else if(!finished)
+        {
+            items = selectedItems;
+
+            for(var i = 0; i < items.length; i++)
+            {
+                itemDetails.push({"state": "READY", "data": null, "error": null, "startTime": null, "endTime": null, "durationMs": null});
+            }
+
+            if(items.length == 0)
+            {
+                finish(null, []);
+            }
+            else
+            {
+                startItems();
+            }
+        }
+    }).then(null, function (err)
+    {
+        finish(err || new Error("Items of map vertex " + context.vertexId + " couldn't be selected"));
+    });
+
+    return itemDetails;
+}
+
+if(typeof module !== "undefined")
+{
+    module.exports = runMap;
+}
@@ -0,0 +1,240 @@
+/**
+ * Exports the timings of a run (see the run report of PigeonKeeper.start) for monitoring: as Prometheus text, or as
+ * OpenTelemetry-style spans
+ *
+ * All of it comes from the report, so it can be exported once the run is over (e.g. from a runComplete event), or
+ * while it is in progress, from a report as of now.
+ */
+
+var VERTEX_STATUS_CODES = {
+    "SUCCESS": "OK",
+    "FAIL": "ERROR"
+};                              // Any other state leaves a vertex's span status UNSET
+
+
+/**
+ * Renders the timings of a run in the Prometheus text exposition format, as gauges:
+ * <ul>
+ * <li>[prefix]_run_duration_seconds, [prefix]_run_success (1 or 0) and [prefix]_run_average_concurrency</li>
+ * <li>[prefix]_vertex_queue_wait_seconds, [prefix]_vertex_execution_seconds and [prefix]_vertex_attempts, labeled
+ *     with the vertex and its state</li>
+ * </ul>
+ * Every sample is labeled with the run_id, plus whatever options.labels holds
+ *
+ * @param {Object} report - The run report
+ * @param {Object} options - Optional; {prefix, labels}: prefix of the metric names ("pigeonkeeper" by default) and
+ *                           labels to add to every sample, by name
+ * @returns {string}
+ */
+function toPrometheus(report, options)
+{
+    options = options || {};
+
+    var prefix = options.prefix || "pigeonkeeper";
+    var runLabels = {};
+    var lines = [];
+
+    for(var labelName in options.labels)
+    {
+        runLabels[labelName] = options.labels[labelName];
+    }
+
+    runLabels["run_id"] = report.runId;
+
+    function gauge(name, help, samples)
+    {
+        lines.push("# HELP " + prefix + "_" + name + " " + help);
+        lines.push("# TYPE " + prefix + "_" + name + " gauge");
+
+        for(var i = 0; i < samples.length; i++)
+        {
+            lines.push(prefix + "_" + name + prometheusLabels(samples[i].labels) + " " + samples[i].value);
+        }
+    }
+
+    function vertexSamples(valueOf)
+    {
+        var samples = [];
+
+        for(var vertexId in report.vertices)
+        {
+            var labels = {};
+
+            for(var labelName in runLabels)
+            {
+                labels[labelName] = runLabels[labelName];
+            }
+
+            labels["vertex"] = vertexId;
+            labels["state"] = report.vertices[vertexId].state;
+
+            samples.push({"labels": labels, "value": valueOf(report.vertices[vertexId])});
+        }
+
+        return samples;
+    }
+
+    gauge("run_duration_seconds", "How long the run took (so far)", [{"labels": runLabels, "value": seconds(report.durationMs)}]);
+    gauge("run_success", "Whether the run succeeded (1) or not (0)", [{"labels": runLabels, "value": report.success ? 1 : 0}]);
+    gauge("run_average_concurrency", "How many vertices were in progress at once, on average",
+        [{"labels": runLabels, "value": report.timings.averageConcurrency !== null ? report.timings.averageConcurrency : 0}]);
+
+    gauge("vertex_queue_wait_seconds", "How long the vertex was READY before it was started, over all attempts",
+        vertexSamples(function (details) {return seconds(details.queueWaitMs);}));
+    gauge("vertex_execution_seconds", "How long the vertex was IN_PROGRESS, over all attempts",
+        vertexSamples(function (details) {return seconds(details.executionMs);}));
+    gauge("vertex_attempts", "How many times the vertex was started",
+        vertexSamples(function (details) {return details.attempts;}));
+
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Turns the timings of a run into OpenTelemetry-style spans: one for the run, with a child span for every vertex that
+ * became READY, from then until it became final (or until the end of the report, if it hasn't yet)
+ * <br />
+ * A vertex span has a "ready" and a "started" event, its state, attempts, queue wait and execution time as attributes, and
+ * status OK when it SUCCEEDed, ERROR (with the error's message) when it FAILed. Times are in nanoseconds since the epoch,
+ * as strings, like OTLP/JSON has them.
+ *
+ * @param {Object} report - The run report
+ * @param {Object} options - Optional; {name, traceId}: name of the run's span ("PigeonKeeper run" by default), and the
+ *                           ID of the trace to add the spans to (a new one by default)
+ * @returns {Array} The spans, the run's first
+ */
+function toSpans(report, options)
+{
+    options = options || {};
+
+    var traceId = options.traceId || randomHex(32);
+    var runSpan = {
+        "traceId": traceId,
+        "spanId": randomHex(16),
+        "parentSpanId": null,
+        "name": options.name || "PigeonKeeper run",
+        "kind": "INTERNAL",
+        "startTimeUnixNano": unixNano(report.startTime),
+        "endTimeUnixNano": unixNano(report.endTime),
+        "attributes": {
+            "pigeonkeeper.run_id": report.runId,
+            "pigeonkeeper.success": report.success,
+            "pigeonkeeper.queue_wait_ms": report.timings.queueWaitMs,
+            "pigeonkeeper.execution_ms": report.timings.executionMs,
+            "pigeonkeeper.average_concurrency": report.timings.averageConcurrency
+        },
+        "events": [],
+        "status": {"code": report.success ? "OK" : "ERROR"}
+    };
+    var spans = [runSpan];
+
+    for(var vertexId in report.vertices)
+    {
+        var details = report.vertices[vertexId];
+
+        if(details.readyTime !== null)
+        {
+            var span = {
+                "traceId": traceId,
+                "spanId": randomHex(16),
+                "parentSpanId": runSpan.spanId,
+                "name": vertexId,
+                "kind": "INTERNAL",
+                "startTimeUnixNano": unixNano(details.readyTime),
+                "endTimeUnixNano": unixNano(details.endTime !== null ? details.endTime : report.endTime),
+                "attributes": {
+                    "pigeonkeeper.vertex_id": vertexId,
+                    "pigeonkeeper.state": details.state,
+                    "pigeonkeeper.attempts": details.attempts,
+                    "pigeonkeeper.queue_wait_ms": details.queueWaitMs,
+                    "pigeonkeeper.execution_ms": details.executionMs
+                },
+                "events": [{"name": "ready", "timeUnixNano": unixNano(details.readyTime)}],
+                "status": {"code": VERTEX_STATUS_CODES[details.state] || "UNSET"}
+            };
+
+            if(details.startTime !== null)
+            {
+                span.events.push({"name": "started", "timeUnixNano": unixNano(details.startTime)});
+            }
+
+            if(details.state == "FAIL" && details.error)
+            {
+                span.status.message = details.error.message !== undefined ? String(details.error.message) : String(details.error);
+            }
+
+            spans.push(span);
+        }
+    }
+
+    return spans;
+}
+
+/**
+ * Renders Prometheus labels, e.g. {vertex="a",state="SUCCESS"}
+ *
+ * @private
+ * @param {Object} labels - Label values, by label name
+ * @returns {string}
+ */
+function prometheusLabels(labels)
+{
+    var pairs = [];
+
+    for(var labelName in labels)
+    {
+        pairs.push(labelName + "=\"" + String(labels[labelName]).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n") + "\"");
+    }
+
+    return pairs.length > 0 ? "{" + pairs.join(",") + "}" : "";
+}
+
+/**
+ * Converts milliseconds to seconds
+ *
+ * @private
+ * @param {number} ms - Milliseconds; null if unknown
+ * @returns {number} 0 if unknown
+ */
+function seconds(ms)
+{
+    return ms ? ms / 1000 : 0;
+}
+
+/**
+ * Converts a timestamp in milliseconds to nanoseconds, as a string (a number can't hold that many digits exactly)
+ *
+ * @private
+ * @param {number} ms - Milliseconds since the epoch; null if unknown
+ * @returns {string} null if unknown
+ */
+function unixNano(ms)
+{
+    return ms !== null && ms !== undefined ? String(ms) + "000000" : null;
+}
+
+/**
+ * Generates a random ID of hex digits, as trace and span IDs are
+ *
+ * @private
+ * @param {number} length - How many digits
+ * @returns {string}
+ */
+function randomHex(length)
+{
+    var hex = "";
+
+    while(hex.length < length)
+    {
+        hex += Math.floor((1 + Math.random()) * 0x10000).toString(16).substring(1);
+    }
+
+    return hex.substring(0, length);
+}
+
+if(typeof module !== "undefined")
+{
+    module.exports = {
+        toPrometheus: toPrometheus,
+        toSpans: toSpans
+    };
+}
@@ -14,44 +14,94 @@ NOTE: to generate JSDocs...
 // This file is hosted on GitHub!
 
 var VERSION = "10";
-var VALID_STATES = ["NOT_READY", "READY", "IN_PROGRESS", "SUCCESS", "FAIL"];
-
+var VALID_STATES = ["NOT_READY", "READY", "IN_PROGRESS", "RETRYING", "SUCCESS", "SKIPPED", "FAIL", "CANCELLED"];
+var VALID_TRIGGERS = ["allSuccess", "allDone", "anySuccess"];
+var VALID_FAILURE_POLICIES = ["continue", "stop"];
+var CONSTRUCTOR_OPTIONS = ["name", "onComplete", "failurePolicy", "concurrency", "logger", "userObject", "logLevel", "defaultTimeout",
+    "defaultRetry", "runTimeout", "schedulingStrategy", "resourcePools", "dataFlow", "journal"];
+var MAX_TIMEOUT = 2147483647;      // Longest a timer can wait, in ms (about 24.8 days); setTimeout fires right away for anything longer
+var VERTEX_OPTIONS = ["timeout", "retry", "priority", "resources", "trigger"];
+var RETRY_OPTIONS = ["maxAttempts", "backoff", "delay", "maxDelay", "jitter", "retryOn"];
+
+var events = require("events");
 var Digraph = require("./digraph");
+var Run = require("./run");
+var errors = require("./errors");
+var definitions = require("./definition");
+var exporters = require("./exporters");
+var scheduler = require("./scheduler");
+var journals = require("./journal");
+var planner = require("./planner");
+var metrics = require("./metrics");
+var logging = require("./logger");
 
 /**
  * Constructor
+ * <br />
+ * Takes either a single options object, or (as it always did) the positional arguments below. The options are:
+ * <ul>
+ * <li>name - instance name, which will be modified into a GUID; required</li>
+ * <li>onComplete - same as finalCallback</li>
+ * <li>failurePolicy - "continue" (the default): PK tries to stay calm and carry on when a process fails; "stop": PK
+ *     quits right away (same as quitOnFailure)</li>
+ * <li>concurrency - how many processes may run at once: a positive integer, or Infinity (the default)</li>
+ * <li>logger, userObject - as below; logLevel - see setLogLevel</li>
+ * <li>defaultTimeout, defaultRetry, runTimeout, schedulingStrategy, dataFlow, journal - see setDefaultTimeout,
+ *     setDefaultRetry, setRunTimeout, setSchedulingStrategy, setDataFlow and setJournal</li>
+ * <li>resourcePools - capacity of each resource pool, by name (see addResourcePool)</li>
+ * </ul>
+ * Every option is checked, so the constructor throws an InvalidOptionError for one that is unknown, of the wrong type
+ * or out of range.
  *
  * @constructor
- * @param pkName {string} - Instance name, which will be modified into a GUID
- * @param finalCallback {Function} - Function to be called when PK quits
+ * @param pkName {string|Object} - Instance name, which will be modified into a GUID; or the options
+ * @param finalCallback {Function} - Function to be called when PK quits, as finalCallback(err, sharedData); err is null or the error the run ended with
  * @param quitOnFailure {boolean} - When true, PK quits when single process fails; when false, PK tries to stay calm and carry on
- * @param maxNumRunningProcesses {number} - Maximum number of running processes
- * @param {Object} logger - A logging utility that has an addLog method
- * @param userObject {Object} - Object used by the logger
+ * @param maxNumRunningProcesses {number} - Maximum number of running processes; 0 or less (or left out) means no limit
+ *                                          (positional arguments are taken as leniently as they always were, see positionalOptions)
+ * @param {Object} logger - A log adapter, with a log(level, message, fields) method (see logger.js and setLogLevel), or a
+ *                          logging utility that has an addLog(level, message, userObject) method; the console when left out
+ * @param userObject {Object} - Object passed on to an addLog method
+ * @fires "runStart" - {runId, sharedData, topologicalSortOrder}
+ * @fires "runComplete" - {runId, success, error, report}
+ * @fires "vertexStateChange" - {runId, vertexId, from, to}
+ * @fires "vertexStart" - {runId, vertexId, attempt}
+ * @fires "vertexSuccess" - {runId, vertexId, data, attempts}
+ * @fires "vertexFail" - {runId, vertexId, error, attempts}; only for vertices whose own work failed for good, not for those failing because of a parent
+ * @fires "concurrencySlotFreed" - {runId, vertexId, numberOfRunningProcesses, maxNumberOfRunningProcesses}
  */
 function PigeonKeeper(pkName, finalCallback, quitOnFailure, maxNumRunningProcesses, logger, userObject)
 {
     var self = this;
-    var pkGuid = pkName + "-" + guid();
-    var loggingMechanism = logger;
-    var logUserObject = userObject;
+    var options = pkName !== null && typeof pkName === "object" ? validConstructorOptions(pkName) :
+        positionalOptions(pkName, finalCallback, quitOnFailure, maxNumRunningProcesses, logger, userObject);
+    var name = options.name;
+    var pkGuid = name + "-" + guid();
+    var loggingMechanism = options.logger;
+    var logUserObject = options.userObject;
+    var logAdapter = logging.toAdapter(options.logger, options.userObject);
+    var logLevel = "info";          // See setLogLevel
 
     var graph = new Digraph(pkGuid);
     graph.parent = self;
 
-    var finalCallbackExecuted = false;
-
-    var finalCallback = finalCallback;
+    var finalCallback = options.onComplete;
 
-    var quitOnFailure = quitOnFailure;
+    var quitOnFailure = options.failurePolicy == "stop";
 
-    var isCurrentlyRunning = false;
-    var maxNumberOfRunningProcesses = maxNumRunningProcesses;
-    var numberOfRunningProcesses = 0;
+    var maxNumberOfRunningProcesses = options.concurrency === Infinity ? 0 : options.concurrency;   // 0 means no limit
 
-    var topologicalSortOrder;       // Computed when we start PK
+    var defaultTimeout = 0;         // Per vertex, for vertices that don't specify their own; 0 means none
+    var defaultRetry = null;        // Per vertex, for vertices that don't specify their own; null means no retries
+    var runTimeout = 0;             // Per run; 0 means none
+    var schedulingStrategy = "fifo";    // See scheduler.js
+    var resourcePools = {};         // Capacity of each resource pool, by name
+    var dataFlow = false;           // See setDataFlow
+    var journal = null;             // See setJournal
 
-    var results = {};
+    var runCount = 0;
+    var activeRuns = [];            // Runs that have been started and haven't finished yet
+    var lastRun = null;             // Most recently started run; what overallState(), getResults() etc. report on
 
     /**
      * Returns the version of this PK
@@ -64,13 +114,13 @@ function PigeonKeeper(pkName, finalCallback, quitOnFailure, maxNumRunningProcess
     };
 
     /**
-     * Is the PK currently running?
+     * Is the PK currently running? (i.e. is any of its runs still in progress)
      *
      * @returns {boolean}
      */
     this.isRunning = function ()
     {
-        return isCurrentlyRunning;
+        return activeRuns.length > 0;
     };
 
     /**
@@ -79,273 +129,485 @@ function PigeonKeeper(pkName, finalCallback, quitOnFailure, maxNumRunningProcess
      * @param {string} vertexId - ID of a vertex in the digraph
      * @param {Object} service - An event emitter (either emits "success" or "error")
      * @param {Function} serviceStart - Method of the service which PK will call
+     * @param {Object} options - Optional vertex options (see vertexOptions); if the service has a cancel method, it is called when the vertex times out
+     */
+    this.addVertex = function (vertexId, service, serviceStart, options)
+    {
+        // Create a vertex and associate the service with it; each run subscribes to the service when it starts the vertex
+        graph.addVertex(vertexId, {"service": service, "serviceStart": serviceStart, "options": vertexOptions(vertexId, options)});
+        forEachActiveRun(function (run) {run.addVertex(vertexId);});
+    };
+
+    /**
+     * Adds a vertex to the underlying graph whose work is done by a plain function instead of an event emitter
+     * (see task.js for the supported styles); the value the task produces is kept as the vertex's data
+     *
+     * @param {string} vertexId - ID of a vertex in the digraph
+     * @param {Function} task - Called with a context object ({vertexId, sharedData, inputs, signal}), plus a callback if it is Node-style;
+     *                          inputs holds the outputs of the vertex's parents, by parent vertex ID; signal is an AbortSignal
+     *                          (where the platform has one) that is aborted when the vertex times out; in data-flow mode
+     *                          (see setDataFlow), sharedData is replaced by config
+     * @param {Object} options - Optional vertex options (see vertexOptions)
      */
-    this.addVertex = function (vertexId, service, serviceStart)
+    this.addTask = function (vertexId, task, options)
     {
-        // Create a vertex...
-        var newVertex = graph.addVertex(vertexId, {});
+        if(typeof task !== "function")
+        {
+            throw new errors.InvalidOptionError("task", "Task for vertex " + vertexId + " is not a function!", {"vertexId": vertexId});
+        }
 
-        //...and associate the service with it
-        newVertex.once(pkGuid + ":" + "start", function () {writeToLog("INFO", "Starting " + vertexId); return serviceStart(results)});
-        service.once("success", newVertex.processSuccessful);
-        service.once("error", newVertex.processFailed);
+        graph.addVertex(vertexId, {"task": task, "options": vertexOptions(vertexId, options)});
+        forEachActiveRun(function (run) {run.addVertex(vertexId);});
     };
 
     /**
-     * Adds a directed edge from one vertex to another vertex in the underlying graph
+     * Adds a map vertex to the underlying graph: one that runs a task for every item of a collection that is only known
+     * once the run gets there, typically the output of a parent (see map.js)
+     * <br />
+     * When the vertex runs, itemsSelector(context) picks the items (e.g. function (context) {return context.inputs.list;}),
+     * and taskFactory(item, index) makes the task for each of them. Each task is called like one added with addTask, with
+     * {item, index} added to its context. The vertex SUCCEEDs with the outputs of all items, in item order, which is what
+     * its children get; it FAILs with a MapItemFailedError as soon as one item fails. Each item's state shows in the
+     * vertex's items, in overallState() and the run report.
+     *
+     * @param {string} vertexId - ID of a vertex in the digraph
+     * @param {Function} itemsSelector - Called with the vertex's task context; returns an array of items, or a Promise of one
+     * @param {Function} taskFactory - Called with an item and its index; returns the task for that item
+     * @param {Object} options - Optional vertex options (see vertexOptions), plus concurrency: how many items may run at
+     *                           once (a positive integer; no limit when left out). The vertex takes one of the
+     *                           maxNumRunningProcesses slots, however many items it runs.
+     */
+    this.addMap = function (vertexId, itemsSelector, taskFactory, options)
+    {
+        var concurrency = options && options.concurrency !== undefined ? options.concurrency : 0;
+
+        if(typeof itemsSelector !== "function")
+        {
+            throw new errors.InvalidOptionError("items", "Items selector for map vertex " + vertexId + " is not a function!", {"vertexId": vertexId});
+        }
+        else if(typeof taskFactory !== "function")
+        {
+            throw new errors.InvalidOptionError("taskFactory", "Task factory for map vertex " + vertexId + " is not a function!", {"vertexId": vertexId});
+        }
+        else if(concurrency !== 0 && !isPositiveInteger(concurrency))
+        {
+            throw new errors.InvalidOptionError("concurrency", "concurrency of map vertex " + vertexId + " must be a positive integer, got " + concurrency, {"vertexId": vertexId});
+        }
+
+        var map = {"items": itemsSelector, "taskFactory": taskFactory, "concurrency": concurrency};
+
+        graph.addVertex(vertexId, {"map": map, "options": vertexOptions(vertexId, options, ["concurrency"])});
+        forEachActiveRun(function (run) {run.addVertex(vertexId);});
+    };
+
+    /**
+     * Adds a subgraph vertex to the underlying graph: one whose work is a run of another PK, so pipelines can be put
+     * together out of smaller ones (see subgraph.js)
+     * <br />
+     * The vertex SUCCEEDs with the results of the inner run (its sharedData, or the outputs of its vertices in data-flow
+     * mode), and FAILs with a SubgraphFailedError, whose cause is what the inner run ended with, when that doesn't go well.
+     * A timeout of the vertex, or aborting the outer run, aborts the inner run too. The inner run's vertices show in the
+     * vertex's vertices, in overallState() and the run report, as "vertexId/innerVertexId".
+     *
+     * @param {string} vertexId - ID of a vertex in the digraph
+     * @param {PigeonKeeper|Object} subgraph - The inner PK, or a definition to build one from (see fromDefinition), which
+     *                                        logs to this PK's logger
+     * @param {Object} options - Optional vertex options (see vertexOptions), plus taskRegistry, to build the inner PK from
+     *                           a definition with, and sharedData: a function that is called with the vertex's task context
+     *                           and returns (a Promise of) the sharedData to start the inner run with; by default, that
+     *                           is this run's sharedData (or config, in data-flow mode)
+     */
+    this.addSubgraph = function (vertexId, subgraph, options)
+    {
+        options = options || {};
+
+        var innerPk = subgraph;
+
+        if(subgraph === self)
+        {
+            throw new errors.InvalidOptionError("subgraph", "A PigeonKeeper can't be a subgraph of itself!", {"vertexId": vertexId});
+        }
+        else if(subgraph === null || typeof subgraph !== "object")
+        {
+            throw new errors.InvalidOptionError("subgraph", "Subgraph of vertex " + vertexId + " must be a PigeonKeeper or a definition, got " + subgraph,
+                {"vertexId": vertexId});
+        }
+        else if(options.sharedData !== undefined && typeof options.sharedData !== "function")
+        {
+            throw new errors.InvalidOptionError("sharedData", "sharedData of subgraph vertex " + vertexId + " must be a function", {"vertexId": vertexId});
+        }
+
+        if(!(subgraph instanceof PigeonKeeper))
+        {
+            innerPk = definitions.fromDefinition(PigeonKeeper, subgraph, options.taskRegistry, {"logger": loggingMechanism,
+                "userObject": loggingMechanism && typeof loggingMechanism.addLog === "function" ? logUserObject : undefined});
+        }
+
+        graph.addVertex(vertexId, {"subgraph": {"pk": innerPk, "sharedData": options.sharedData}, "options": vertexOptions(vertexId, options, ["taskRegistry", "sharedData"])});
+        forEachActiveRun(function (run) {run.addVertex(vertexId);});
+    };
+
+    /**
+     * Is there a vertex with that ID in the underlying graph?
+     *
+     * @param {string} vertexId - ID of a vertex
+     * @returns {boolean}
+     */
+    this.hasVertex = function (vertexId)
+    {
+        return graph.hasVertexId(vertexId);
+    };
+
+    /**
+     * Removes a vertex, and every edge from or to it, from the underlying graph
+     * <br />
+     * Like every change to the graph, this applies to runs in progress too (see addEdge); a vertex can't be removed
+     * while it is IN_PROGRESS or RETRYING in one of them. Its children no longer wait for it.
+     *
+     * @param {string} vertexId - ID of a vertex in the digraph
+     */
+    this.removeVertex = function (vertexId)
+    {
+        forEachActiveRun(function (run) {run.checkGraphChange("removeVertex", vertexId);});
+        graph.removeVertex(vertexId);
+        forEachActiveRun(function (run) {run.removeVertex(vertexId);});
+    };
+
+    /**
+     * Removes a directed edge from the underlying graph; applies to runs in progress too (see addEdge)
      *
      * @param startVertexId {string} - Where the edge starts
      * @param endVertexId {string} - Where the edge ends
      */
-    this.addEdge = function (startVertexId, endVertexId)
+    this.removeEdge = function (startVertexId, endVertexId)
     {
-        graph.addEdge(startVertexId, endVertexId);
+        graph.removeEdge(startVertexId, endVertexId);
+        forEachActiveRun(function (run) {run.removeEdge(startVertexId, endVertexId);});
     };
 
     /**
-     * Starts the PK a-runnin'!
+     * Sets the timeout for vertices that don't specify their own; applies to runs started from now on
      *
-     * @param {Object} sharedData - Common object that processes can modify
+     * @param {number} timeout - In milliseconds; 0 means no timeout (the default)
      */
-    this.start = function (sharedData)
+    this.setDefaultTimeout = function (timeout)
     {
-        finalCallbackExecuted = false;
-        results = sharedData;
-        topologicalSortOrder = vertexIdsFromArray(graph.topologicalSort());
-        //writeToLog("INFO", "topologicalSortOrder = " + topologicalSortOrder);
-        numberOfRunningProcesses = 0;
-        isCurrentlyRunning = true;
-        initializeStates();
-        updateStates();
-        startReadyProcesses();
+        defaultTimeout = validTimeout(timeout, "defaultTimeout");
     };
 
     /**
-     * Sets the state of the vertex with vertexId; tests whether it is OK to run finalCallback - ordinarily does NOT need to be called directly
+     * Sets the retry policy for vertices that don't specify their own (see the retry option of addVertex/addTask);
+     * applies to runs started from now on
      *
-     * @param {string} vertexId - ID of a vertex in the digraph
-     * @param {VALID_STATES} newState - The new state
+     * @param {Object} retry - {maxAttempts, backoff, delay, maxDelay, jitter, retryOn}; null (the default) for no retries
      */
-    this.setState = function (vertexId, newState)
+    this.setDefaultRetry = function (retry)
     {
-        var pkError = null;
-        var currentPkState;
+        defaultRetry = retry === null ? null : validRetryPolicy(undefined, retry);
+    };
 
-        if(graph.hasVertexId(vertexId))
+    /**
+     * Sets the deadline for whole runs: whatever hasn't finished by then FAILs with a RunTimeoutError; applies to runs started from now on
+     *
+     * @param {number} timeout - In milliseconds after the start of the run; 0 means no deadline (the default)
+     */
+    this.setRunTimeout = function (timeout)
+    {
+        runTimeout = validTimeout(timeout, "runTimeout");
+    };
+
+    /**
+     * Sets the least important level that is logged: "debug" (which adds every vertex state change), "info" (the
+     * default), "warn" or "error"; "silent" logs nothing at all
+     *
+     * @param {string} level - The minimum level
+     */
+    this.setLogLevel = function (level)
+    {
+        if(!logging.isValidLogLevel(level))
         {
-            if(VALID_STATES.indexOf(newState) > -1)
-            {
-                graph.getVertex(vertexId).setState(newState);
-
-                if(newState == "SUCCESS")
-                {
-                    numberOfRunningProcesses--;
-                    //writeToLog("INFO", "Just decremented numberOfRunningProcesses for SUCCESS, now is " + numberOfRunningProcesses);
-                    updateStates();
-
-                    var allStatesSuccessful = true;
-                    var someStateFailed = false;
-                    var allStatesFinal = true;
-
-                    var numVertices = graph.vertexCount();
-                    var vertexIds = graph.getVertexIds();
-
-                    for(var i = 0; i < numVertices; i++)
-                    {
-                        var currentVertex = graph.getVertex(vertexIds[i]);
-                        allStatesSuccessful = allStatesSuccessful && currentVertex.state == "SUCCESS";
-                        someStateFailed = someStateFailed || currentVertex.state == "FAIL";
-                        allStatesFinal = allStatesFinal && (currentVertex.state == "SUCCESS" || currentVertex.state == "FAIL");
-                    }
-
-                    //writeToLog("INFO", "***** allStatesSuccessful = " + allStatesSuccessful + "; someStateFailed = " + someStateFailed + "; allStatesFinal = " + allStatesFinal);
-
-                    // TODO: clean-up this logic
-                    if(allStatesFinal)
-                    {
-                        isCurrentlyRunning = false;
-                        if(allStatesSuccessful)
-                        {
-                            writeToLog("INFO", "All tasks completed successfully, ooh RAH!");
-
-                            if(!finalCallbackExecuted)
-                            {
-                                writeToLog("INFO", "Final callback executing");
-                                finalCallbackExecuted = true;
-                                finalCallback(null, results);
-                                writeToLog("INFO", "Final callback executed");
-                            }
-
-                        }
-                        else
-                        {
-                            writeToLog("ERROR", "One task failed, :-(");
-
-                            if(!finalCallbackExecuted)
-                            {
-                                writeToLog("INFO", "Final callback executing");
-                                finalCallbackExecuted = true;
-                                currentPkState = self.overallState();
-                                pkError = {name:"Failed States", message:currentPkState.FAIL};
-                                finalCallback(pkError, results);
-                                writeToLog("INFO", "Final callback executed");
-                            }
-                        }
-                    }
-                    else if(allStatesSuccessful)
-                    {
-                        writeToLog("INFO", "All tasks completed successfully, ooh RAH!");
-
-                        if(!finalCallbackExecuted)
-                        {
-                            writeToLog("INFO", "Final callback executing");
-                            finalCallbackExecuted = true;
-                            finalCallback(null, results);
-                            writeToLog("INFO", "Final callback executed");
-                        }
-                    }
-                    else if(someStateFailed)
-                    {
-                        writeToLog("ERROR", "Some task failed!");
-
-                        if(quitOnFailure)
-                        {
-                            isCurrentlyRunning = false;
-
-                            if(!finalCallbackExecuted)
-                            {
-                                writeToLog("INFO", "Final callback executing");
-                                finalCallbackExecuted = true;
-                                currentPkState = self.overallState();
-                                pkError = {name:"Failed States", message:currentPkState.FAIL};
-                                finalCallback(pkError, results);
-                                writeToLog("INFO", "Final callback executed");
-                            }
-                        }
-                        else
-                        {
-                            updateStates();
-                        }
-                    }
-                    else
-                    {
-                        startReadyProcesses();
-                    }
-                }
-                else if(newState == "FAIL")
-                {
-                    writeToLog("ERROR", "Task failed - darn!");
-                    numberOfRunningProcesses--;
-                    //writeToLog("INFO", "Just decremented numberOfRunningProcesses for FAIL, now is " + numberOfRunningProcesses);
-                    updateStates();
-
-                    var allStatesSuccessful = true;
-                    var someStateFailed = false;
-                    var allStatesFinal = true;
-
-                    var numVertices = graph.vertexCount();
-                    var vertexIds = graph.getVertexIds();
-
-                    for(var i = 0; i < numVertices; i++)
-                    {
-                        var currentVertex = graph.getVertex(vertexIds[i]);
-                        allStatesSuccessful = allStatesSuccessful && currentVertex.state == "SUCCESS";
-                        someStateFailed = someStateFailed || currentVertex.state == "FAIL";
-                        allStatesFinal = allStatesFinal && (currentVertex.state == "SUCCESS" || currentVertex.state == "FAIL");
-                    }
-
-                    if(quitOnFailure)
-                    {
-                        isCurrentlyRunning = false;
-
-                        if(!finalCallbackExecuted)
-                        {
-                            writeToLog("INFO", "Final callback executing");
-                            finalCallbackExecuted = true;
-                            pkError = {name:"State Failed", message:vertexId};
-                            finalCallback(pkError, results);
-                            writeToLog("INFO", "Final callback executed");
-                        }
-                    }
-                    else
-                    {
-                        updateStates();
-
-                        if(allStatesFinal && someStateFailed)
-                        {
-                            if(!finalCallbackExecuted)
-                            {
-                                writeToLog("INFO", "Final callback executing");
-                                finalCallbackExecuted = true;
-                                currentPkState = self.overallState();
-                                pkError = {name:"Failed States", message:currentPkState.FAIL};
-                                finalCallback(pkError, results);
-                                writeToLog("INFO", "Final callback executed");
-                            }
-                        }
-                    }
-                }
-            }
-            else
-            {
-                // Attempt was made to set the vertex's state to something other than the allowable states!
-                throw new Error("Invalid State", newState);
-            }
+            throw new errors.InvalidOptionError("logLevel", "Log level must be one of debug, info, warn, error, silent, got " + level);
         }
-        else
+
+        logLevel = level;
+    };
+
+    /**
+     * Declares a named resource pool, e.g. for a database that tolerates only so many concurrent calls; a vertex only
+     * starts when every pool it needs (see the resources option of addVertex/addTask) has enough units left
+     * <br />
+     * Pools have to be declared before the vertices that use them are added. Every run has pools of its own.
+     *
+     * @param {string} poolName - Name of the pool
+     * @param {number} capacity - How many units the pool has; a positive integer
+     */
+    this.addResourcePool = function (poolName, capacity)
+    {
+        if(resourcePools.hasOwnProperty(poolName))
+        {
+            throw new errors.DuplicateResourcePoolError(poolName);
+        }
+        else if(!isPositiveInteger(capacity))
         {
-            // Attempt was made to set the state of a non-existent vertex!
-            throw new Error("Vertex Not Found", vertexId);
+            throw new errors.InvalidOptionError("capacity", "Capacity of resource pool " + poolName + " must be a positive integer, got " + capacity, {"poolName": poolName});
         }
-        //console.log("In setState, allStatesFinal = " + allStatesFinal);
-        //console.log("In setState, overall state = " + this.overallStateAsString());
+
+        resourcePools[poolName] = capacity;
     };
 
     /**
-     * Debugging function - returns description of the PK's current condition, including the states of each vertex
+     * Turns data-flow mode on or off; applies to runs started from now on
+     * <br />
+     * In data-flow mode, vertices don't share a mutable sharedData but pass data along the edges instead:
+     * <ul>
+     * <li>what a vertex succeeds with is its output</li>
+     * <li>a task gets the outputs of its parents as context.inputs ({parentVertexId: output}), and the sharedData given
+     *     to start as context.config, which is read-only; a service's serviceStart is called with (config, inputs)</li>
+     * <li>the result of the run (what finalCallback and getResults get, and the report's results) is the output of
+     *     every vertex that SUCCEEDed, by vertex ID</li>
+     * </ul>
      *
-     * @returns {{}}
+     * @param {boolean} enabled - true for data-flow mode; false (the default) for sharedData; anything else throws an InvalidOptionError
      */
-    this.overallState = function ()
+    this.setDataFlow = function (enabled)
     {
-        var pkOverallState = {};
+        if(typeof enabled !== "boolean")
+        {
+            throw new errors.InvalidOptionError("dataFlow", "dataFlow must be true or false, got " + enabled);
+        }
 
-        var notReadyVertices = [];
-        var readyVertices = [];
-        var inProgressVertices = [];
-        var successVertices = [];
-        var failVertices = [];
+        dataFlow = enabled;
+    };
 
-        var vertexStates = [notReadyVertices, readyVertices, inProgressVertices, successVertices, failVertices];
+    /**
+     * Sets the journal that runs record what happens in (every state change, with the output of every vertex that
+     * SUCCEEDs), so that a run cut short can be picked up again with resume; applies to runs started from now on
+     * <br />
+     * PigeonKeeper.MemoryJournal and PigeonKeeper.FileJournal are ready to use; anything with append(entry) and read()
+     * methods will do (see journal.js)
+     *
+     * @param {Object} runJournal - The journal; null (the default) for none
+     */
+    this.setJournal = function (runJournal)
+    {
+        if(runJournal !== null && (!runJournal || typeof runJournal.append !== "function" || typeof runJournal.read !== "function"))
+        {
+            throw new errors.InvalidOptionError("journal", "Journal must have append and read methods");
+        }
 
-        var numVertices = graph.vertexCount();
-        var vertexIds = graph.getVertexIds();
+        journal = runJournal;
+    };
+
+    /**
+     * Sets how runs pick which READY vertices to start when maxNumRunningProcesses doesn't let them start all at once;
+     * applies to runs started from now on
+     *
+     * @param {*} strategy - "fifo" (the default), "priority", "criticalPath" or a comparator function (see scheduler.js)
+     */
+    this.setSchedulingStrategy = function (strategy)
+    {
+        if(!scheduler.isValidStrategy(strategy))
+        {
+            throw new errors.InvalidOptionError("schedulingStrategy", "Scheduling strategy must be \"fifo\", \"priority\", \"criticalPath\" or a function, got " + strategy);
+        }
 
-        pkOverallState["globallyUniqueId"] = pkGuid;
+        schedulingStrategy = strategy;
+    };
 
-        pkOverallState["topologicalSortOrder"] = topologicalSortOrder;
+    /**
+     * Adds a directed edge from one vertex to another vertex in the underlying graph
+     * <br />
+     * options.condition makes the edge conditional: once the start vertex is SUCCESS, condition(results, data) is called
+     * with the results of the run so far and the data the start vertex succeeded with; if it returns something falsy, the
+     * edge is not taken, which (depending on the end vertex's trigger, see addVertex) SKIPs the end vertex. If it throws,
+     * the end vertex FAILs with what was thrown.
+     * <br />
+     * The graph can be changed while runs are in progress, e.g. by a task that adds a vertex for every file it found:
+     * vertices and edges that are added (or removed) become part of every run in progress as well as of later runs. An
+     * added vertex only becomes READY once the code adding it is done (at the next microtask), so the edges into it can
+     * be added first; its parents may already have SUCCEEDed. An edge can only be added into a vertex that hasn't been
+     * started yet in any run in progress; otherwise it throws a VertexStartedError.
+     *
+     * @param startVertexId {string} - Where the edge starts
+     * @param endVertexId {string} - Where the edge ends
+     * @param options {Object} - Optional; {condition}
+     */
+    this.addEdge = function (startVertexId, endVertexId, options)
+    {
+        var edgeData = null;
 
-        for(var i = 0; i < numVertices; i++)
+        if(options && options.condition !== undefined)
         {
-            var currentVertexState = graph.getVertex(vertexIds[i]).state;
-            var stateIndex = VALID_STATES.indexOf(currentVertexState);
+            if(typeof options.condition !== "function")
+            {
+                throw new errors.InvalidOptionError("condition", "Condition on edge (" + startVertexId + ", " + endVertexId + ") must be a function",
+                    {"startVertexId": startVertexId, "endVertexId": endVertexId});
+            }
 
-            vertexStates[stateIndex].push(vertexIds[i]);
+            edgeData = {"condition": options.condition};
         }
 
-        for (var i = 0; i < VALID_STATES.length; i++)
+        forEachActiveRun(function (run) {run.checkGraphChange("addEdge", endVertexId);});
+        graph.addEdge(startVertexId, endVertexId, edgeData);
+        forEachActiveRun(function (run) {run.addEdge(startVertexId, endVertexId);});
+    };
+
+    /**
+     * Writes the PK's graph and settings down as a plain, JSON-friendly definition (see definition.js), e.g. to keep it
+     * under version control; PigeonKeeper.fromDefinition turns it back into a PK
+     *
+     * @param {Object} taskRegistry - Implementations, by name; every task, service, edge condition and retryOn in the graph must be in it
+     * @returns {Object}
+     */
+    this.toDefinition = function (taskRegistry)
+    {
+        var settings = {
+            "name": name,
+            "failurePolicy": quitOnFailure ? "stop" : "continue",
+            "concurrency": maxNumberOfRunningProcesses > 0 ? maxNumberOfRunningProcesses : Infinity,
+            "schedulingStrategy": schedulingStrategy,
+            "resourcePools": resourcePools,
+            "dataFlow": dataFlow,
+            "defaultTimeout": defaultTimeout,
+            "defaultRetry": defaultRetry,
+            "runTimeout": runTimeout
+        };
+
+        return definitions.toDefinition(settings, graph, taskRegistry);
+    };
+
+    /**
+     * Starts the PK a-runnin'!
+     * <br />
+     * Each call starts a new, independent run of the graph (a snapshot of the vertices and edges as they are right now),
+     * so the same PK can be started over and over again - even while earlier runs are still in progress. Runs don't share
+     * any state besides what their processes do with sharedData. Note that an event emitter service (see addVertex) can't
+     * tell which run its "success"/"error" belongs to, so vertices that may be IN_PROGRESS in overlapping runs should be
+     * added with addTask.
+     * <br />
+     * The returned Promise resolves with the run report once every vertex is done; if the run fails, it is rejected with
+     * a RunFailedError whose report property holds the same report. The report looks like:
+     * <pre>
+     * {
+     *     globallyUniqueId, runId, success, startTime, endTime, durationMs, results,
+     *     vertices: {vertexId: {state, data, error, attempts, readyTime, startTime, endTime, durationMs, queueWaitMs, executionMs}},
+     *     timings: {queueWaitMs, executionMs, averageConcurrency, longestQueueWaitVertexId, longestExecutionVertexId}
+     * }
+     * </pre>
+     * readyTime is when the vertex first became READY, startTime when it was (last) started and endTime when it became
+     * final; queueWaitMs is how long it was READY before being started and executionMs how long it was IN_PROGRESS, over
+     * all attempts. timings adds those up for the whole run (see toPrometheus and toSpans to export them).
+     * finalCallback (if given to the constructor) is still called as before, once per run.
+     *
+     * @param {Object} sharedData - Common object that processes can modify; in data-flow mode (see setDataFlow), read-only config
+     * @param {Object} options - Optional; options.signal is an AbortSignal that aborts this run (and only this run, see abort)
+     * @returns {Promise}
+     */
+    this.start = function (sharedData, options)
+    {
+        return startRun(createRun(journal), sharedData, null, options && options.signal);
+    };
+
+    /**
+     * Picks up the most recently started run recorded in a journal (see setJournal) where it left off, e.g. after the
+     * process crashed: the vertices that were SUCCESS in it become SUCCESS again, with the outputs they had, and
+     * everything else (NOT_READY, READY, IN_PROGRESS, ...) is run as in a new run
+     * <br />
+     * The resumed run is a new run, which records what happens in the same journal, so it can be resumed in turn. The
+     * graph should be the same as that of the recorded run; vertices that are no longer in it are left out.
+     *
+     * @param {Object} runJournal - The journal to resume from
+     * @param {Object} options - Optional; {sharedData, signal}: sharedData replaces the one the recorded run was started
+     *                           with (which processes may have changed since), signal is as for start
+     * @returns {Promise} As for start
+     */
+    this.resume = function (runJournal, options)
+    {
+        options = options || {};
+
+        var resumeFrom = Promise.resolve().then(function ()
         {
-            //writeToLog("INFO", "   " + VALID_STATES[i] + ": " + vertexStates[i]);
-            pkOverallState[VALID_STATES[i]] = vertexStates[i];
+            return runJournal.read();
+        }).then(journals.checkpoint);
+
+        var runPromise = resumeFrom.then(function (checkpoint)
+        {
+            var sharedData = options.sharedData !== undefined ? options.sharedData : checkpoint.sharedData;
+
+            return startRun(createRun(runJournal), sharedData, checkpoint, options.signal);
+        });
+
+        // As with start, callers who only use finalCallback never look at the promise; finalCallback isn't called when
+        // there's nothing to resume, though, so at least log why
+        resumeFrom.then(null, function (err) {writeToLog("error", "Can't resume", {"error": err && err.message !== undefined ? err.message : err});});
+        runPromise.catch(function () {});
+
+        return runPromise;
+    };
+
+    /**
+     * Starts a run as the work of a subgraph vertex of another PK (see addSubgraph) - ordinarily does NOT need to be called directly
+     *
+     * @param {Object} sharedData - As for start
+     * @param {AbortSignal} signal - The subgraph vertex's signal, which aborts the run
+     * @returns {{run, promise}} The run, so the outer run can look into it, and the Promise that start would return
+     */
+    this.startAsSubgraph = function (sharedData, signal)
+    {
+        var run = createRun(journal);
+
+        return {"run": run, "promise": startRun(run, sharedData, null, signal)};
+    };
+
+    /**
+     * Aborts every run of this PK that is in progress: no more vertices are started, work in progress is asked to stop
+     * (tasks through their context.signal, services through their cancel method if they have one), every unfinished vertex
+     * becomes CANCELLED, and finalCallback is called (once per run) with a CancelledError, which the Promise returned by
+     * start is rejected with as well
+     *
+     * @param {*} reason - Optional reason, kept as the CancelledError's reason
+     */
+    this.abort = function (reason)
+    {
+        // Aborting a run removes it from activeRuns, so go through a copy
+        var runsToAbort = activeRuns.slice();
+        var numRuns = runsToAbort.length;
+
+        for(var i = 0; i < numRuns; i++)
+        {
+            runsToAbort[i].abort(reason);
         }
+    };
 
-        pkOverallState["quitOnFailure"] = quitOnFailure;
-        pkOverallState["isRunning"] = isCurrentlyRunning;
-        pkOverallState["maxNumberOfRunningProcesses"] = maxNumberOfRunningProcesses;
-        pkOverallState["numberOfRunningProcesses"] = numberOfRunningProcesses;
-        pkOverallState["results"] = results;
+    /**
+     * Same as abort
+     *
+     * @param {*} reason - Optional reason, kept as the CancelledError's reason
+     */
+    this.cancel = function (reason)
+    {
+        self.abort(reason);
+    };
 
-        return pkOverallState;
+    /**
+     * Sets the state of the vertex with vertexId in the most recent run; tests whether it is OK to run finalCallback - ordinarily does NOT need to be called directly
+     *
+     * @param {string} vertexId - ID of a vertex in the digraph
+     * @param {VALID_STATES} newState - The new state
+     */
+    this.setState = function (vertexId, newState)
+    {
+        currentRun().setState(vertexId, newState);
+    };
+
+    /**
+     * Debugging function - returns description of the PK's current condition (as of its most recent run), including the states of each vertex
+     *
+     * @returns {{}}
+     */
+    this.overallState = function ()
+    {
+        return currentRun().overallState();
     };
 
     /**
@@ -361,6 +623,7 @@ function PigeonKeeper(pkName, finalCallback, quitOnFailure, maxNumRunningProcess
         pkOverallStateAsString += "Overall PigeonKeeper State:" + "\n";
 
         pkOverallStateAsString += "   " + "globallyUniqueId = " + pkOverallState.globallyUniqueId + "\n";
+        pkOverallStateAsString += "   " + "runId = " + pkOverallState.runId + "\n";
         pkOverallStateAsString += "   " + "Topological sort = " + pkOverallState.topologicalSortOrder + "\n";
         pkOverallStateAsString += "   " + "Quits immediately on failure = " + pkOverallState.quitOnFailure + "\n";
 
@@ -374,11 +637,27 @@ function PigeonKeeper(pkName, finalCallback, quitOnFailure, maxNumRunningProcess
         }
         pkOverallStateAsString += "   " + "Current number of running processes = " + pkOverallState.numberOfRunningProcesses + "\n";
 
+        for(var poolName in pkOverallState.resourcePools)
+        {
+            var pool = pkOverallState.resourcePools[poolName];
+            pkOverallStateAsString += "   " + "Resource pool " + poolName + " = " + pool.inUse + " of " + pool.capacity + " units in use" + "\n";
+        }
+
         pkOverallStateAsString += "   " + "Vertices by State:" + "\n";
         for (var i = 0; i < VALID_STATES.length; i++)
         {
             pkOverallStateAsString += "   " + "   " + VALID_STATES[i] + ": " + pkOverallState[VALID_STATES[i]] + "\n";
         }
+        pkOverallStateAsString += "   " + "Errors by Vertex:" + "\n";
+        for (var vertexId in pkOverallState.vertices)
+        {
+            var vertexError = pkOverallState.vertices[vertexId].error;
+
+            if(vertexError)
+            {
+                pkOverallStateAsString += "   " + "   " + vertexId + ": " + (vertexError.message !== undefined ? vertexError.message : JSON.stringify(vertexError)) + "\n";
+            }
+        }
         pkOverallStateAsString += "   " + "PK is running = " + pkOverallState.isRunning + "\n";
 
         pkOverallStateAsString += "   " + "results = " + JSON.stringify(pkOverallState.results) + "\n";
@@ -387,162 +666,625 @@ function PigeonKeeper(pkName, finalCallback, quitOnFailure, maxNumRunningProcess
     };
 
     /**
-     * Returns the sharedData object specified in the start method
+     * Works out what a run would do, without running anything: the waves of vertices that can run at the same time,
+     * the critical path, how wide the graph gets, and which vertices are orphans (see planner.js);
+     * with estimated durations, also when each vertex would run, given maxNumRunningProcesses, the resource pools and
+     * the scheduling strategy
+     *
+     * @param {Object} options - Optional; {durations, defaultDuration}: estimated durations in ms, by vertex ID, and for
+     *                           the vertices that have none
+     * @returns {Object} {topologicalSortOrder, waves, maxWidth, maxConcurrency, criticalPath, orphans, timeline, makespan}
+     */
+    this.plan = function (options)
+    {
+        var settings = {
+            "maxNumberOfRunningProcesses": maxNumberOfRunningProcesses,
+            "schedulingStrategy": schedulingStrategy,
+            "resourcePools": resourcePools
+        };
+
+        return planner.plan(graph, settings, options);
+    };
+
+    /**
+     * Renders the graph as Graphviz DOT, with each vertex colored and annotated by its state, duration and error (see exporters.js)
+     *
+     * @param {Object} options - Optional; {states, report}: states false leaves the states out; report is a run report
+     *                           (e.g. err.report in finalCallback) to take them from instead of the most recent run
+     * @returns {string}
+     */
+    this.toDot = function (options)
+    {
+        return exporters.toDot(graph, {"name": name, "vertices": vertexDetailsToRender(options)});
+    };
+
+    /**
+     * Renders the graph as a Mermaid flowchart, with each vertex colored and annotated by its state, duration and error (see exporters.js)
+     *
+     * @param {Object} options - Optional; {states, report, direction}: as for toDot, plus a Mermaid direction ("TD" by default, "LR", ...)
+     * @returns {string}
+     */
+    this.toMermaid = function (options)
+    {
+        return exporters.toMermaid(graph, {"direction": options && options.direction, "vertices": vertexDetailsToRender(options)});
+    };
+
+    /**
+     * Renders the timings of a run in the Prometheus text format, labeled with the PK's name (see metrics.js)
+     *
+     * @param {Object} options - Optional; {report, prefix, labels}: report is a run report to take the timings from
+     *                           instead of the most recent run; prefix and labels are as for metrics.toPrometheus
+     * @returns {string}
+     */
+    this.toPrometheus = function (options)
+    {
+        options = options || {};
+
+        var labels = {"pk": name};
+
+        for(var labelName in options.labels)
+        {
+            labels[labelName] = options.labels[labelName];
+        }
+
+        return metrics.toPrometheus(reportToExport(options), {"prefix": options.prefix, "labels": labels});
+    };
+
+    /**
+     * Turns the timings of a run into OpenTelemetry-style spans, one for the run and one for every vertex that became
+     * READY (see metrics.js), e.g. to hand them to a tracing exporter
+     *
+     * @param {Object} options - Optional; {report, traceId}: report is a run report to take the timings from instead of
+     *                           the most recent run; traceId is the trace to add the spans to
+     * @returns {Array}
+     */
+    this.toSpans = function (options)
+    {
+        options = options || {};
+
+        return metrics.toSpans(reportToExport(options), {"name": name, "traceId": options.traceId});
+    };
+
+    /**
+     * Returns the sharedData object specified in the start method (of the most recent run); in data-flow mode, the output
+     * of every vertex that has SUCCEEDed, by vertex ID
      *
      * @returns {{}}
      */
     this.getResults = function ()
     {
-        return results;
+        return currentRun().getResults();
     };
 
+    // The rest of the options are what the setters are for, and are checked by them
+    if(options.logLevel !== undefined)
+    {
+        self.setLogLevel(options.logLevel);
+    }
+
+    if(options.defaultTimeout !== undefined)
+    {
+        self.setDefaultTimeout(options.defaultTimeout);
+    }
+
+    if(options.defaultRetry !== undefined)
+    {
+        self.setDefaultRetry(options.defaultRetry);
+    }
+
+    if(options.runTimeout !== undefined)
+    {
+        self.setRunTimeout(options.runTimeout);
+    }
+
+    if(options.schedulingStrategy !== undefined)
+    {
+        self.setSchedulingStrategy(options.schedulingStrategy);
+    }
+
+    if(options.dataFlow !== undefined)
+    {
+        self.setDataFlow(options.dataFlow);
+    }
+
+    if(options.journal !== undefined)
+    {
+        self.setJournal(options.journal);
+    }
+
+    for(var poolName in options.resourcePools)
+    {
+        self.addResourcePool(poolName, options.resourcePools[poolName]);
+    }
+
     /**
-     * Sets states of all vertices to be NOT_READY
+     * Starts a run that has just been created, keeping track of it until it finishes
      *
      * @private
+     * @param {Run} run - The run
+     * @param {Object} sharedData - As for start
+     * @param {Object} resumeFrom - What the run resumes from (see journal.checkpoint); null for a new run
+     * @param {AbortSignal} signal - Aborts the run, if given
+     * @returns {Promise}
      */
-    function initializeStates()
+    function startRun(run, sharedData, resumeFrom, signal)
     {
-        // Set all states to NOT_READY
-        var numVertices = graph.vertexCount();
-        var vertexIds = graph.getVertexIds();
+        var onAbort = function () {run.abort(signal.reason);};
+
+        activeRuns.push(run);
+        lastRun = run;
+
+        // An already aborted signal stops the run before it starts any work
+        var runPromise = run.start(sharedData, resumeFrom, signal);
 
-        for(var i = 0; i < numVertices; i++)
+        if(signal && run.isRunning())
         {
-            graph.getVertex(vertexIds[i]).setState("NOT_READY");
+            signal.addEventListener("abort", onAbort);
+            runPromise.then(null, function () {}).then(function () {signal.removeEventListener("abort", onAbort);});
         }
+
+        return runPromise;
     }
 
     /**
-     * Updates all the states in the PK; follows rules specified in the MS Word/PDF docs
+     * Calls a function for every run that is in progress, e.g. to pass a change to the graph on to them
      *
      * @private
+     * @param {Function} fn - Called with each run
      */
-    function updateStates()
+    function forEachActiveRun(fn)
     {
-        var numVertices = graph.vertexCount();
-        var newStates = [];
+        for(var i = 0; i < activeRuns.length; i++)
+        {
+            fn(activeRuns[i]);
+        }
+    }
+
+    /**
+     * Creates a new run of the graph as it is right now
+     *
+     * @private
+     * @param {Object} runJournal - Where the run records what happens (see setJournal); null for nowhere
+     * @returns {Run}
+     */
+    function createRun(runJournal)
+    {
+        runCount++;
 
-        // Calculate new states without changing current states
-        for(var i = 0; i < numVertices; i++)
+        var settings = runSettings();
+
+        settings.journal = runJournal;
+        settings.finalCallback = function (err, data)
         {
-            var currentVertex = graph.getVertex(topologicalSortOrder[i]);
+            var runIndex = activeRuns.indexOf(run);
 
-            if(currentVertex.state == "NOT_READY")
+            if(runIndex > -1)
             {
-                if(graph.indegree(currentVertex.id) == 0)
-                {
-                    newStates.push("READY");
-                }
-                else
-                {
-                    var parents = graph.getParentVertexIds(currentVertex.id);
-                    var numParents = parents.length;
-                    var allParentsAreSuccess = true;
-                    var someParentFailed = false;
-
-                    for(var j = 0; j < numParents; j++)
-                    {
-                        var currentParent = graph.getVertex(parents[j]);
-                        allParentsAreSuccess = allParentsAreSuccess && currentParent.state == "SUCCESS";
-                        someParentFailed = someParentFailed || currentParent.state == "FAIL";
-                    }
-
-                    if(allParentsAreSuccess)
-                    {
-                        newStates.push("READY");
-                    }
-                    else if(someParentFailed)
-                    {
-                        newStates.push("FAIL");
-                    }
-                    else
-                    {
-                        newStates.push("NOT_READY");
-                    }
-                }
+                activeRuns.splice(runIndex, 1);
             }
-            else
+
+            if(typeof finalCallback === "function")
             {
-                newStates.push(currentVertex.state);
+                writeToLog("debug", "Final callback executing", {"runId": run.getId()});
+                finalCallback(err, data);
+                writeToLog("debug", "Final callback executed", {"runId": run.getId()});
             }
+        };
+
+        var run = new Run(pkGuid + ":" + runCount, graph, settings);
+
+        return run;
+    }
+
+    /**
+     * The run that overallState(), getResults() and setState() work on; before the first start, that is a run which hasn't been started
+     *
+     * @private
+     * @returns {Run}
+     */
+    function currentRun()
+    {
+        return lastRun || new Run(pkGuid + ":0", graph, runSettings());
+    }
+
+    /**
+     * Settings that every run gets from its PK
+     *
+     * @private
+     * @returns {Object}
+     */
+    function runSettings()
+    {
+        return {
+            "pkGuid": pkGuid,
+            "quitOnFailure": quitOnFailure,
+            "maxNumberOfRunningProcesses": maxNumberOfRunningProcesses,
+            "resourcePools": copyObject(resourcePools),
+            "schedulingStrategy": schedulingStrategy,
+            "dataFlow": dataFlow,
+            "defaultTimeout": defaultTimeout,
+            "defaultRetry": defaultRetry,
+            "runTimeout": runTimeout,
+            "writeToLog": writeToLog,
+            "emit": function (eventName, payload) {self.emit(eventName, payload);},
+            "finalCallback": function () {}
+        };
+    }
+
+    /**
+     * Validates the options given to addVertex/addTask and returns a copy of them; an option that isn't one of those
+     * below (or, for addMap and addSubgraph, one of their own) throws an InvalidOptionError, and so does a retry option
+     * that isn't one of the retry's
+     * <br />
+     * Supported options:
+     * <ul>
+     * <li>timeout - in milliseconds; when the work takes longer, the vertex FAILs with a TaskTimeoutError (0 means no timeout;
+     *     when left out, the PK's default timeout applies)</li>
+     * <li>retry - {maxAttempts, backoff, delay, maxDelay, jitter, retryOn}; when the work fails, the vertex is RETRYING until
+     *     it is started again, and only FAILs once maxAttempts (which includes the first attempt) have been made:
+     *     <ul>
+     *     <li>backoff - "fixed" (the default) waits delay ms between attempts; "exponential" doubles the wait after every attempt</li>
+     *     <li>delay - in milliseconds, defaults to 0</li>
+     *     <li>maxDelay - upper limit for the wait, in milliseconds; 0 (the default) means no limit</li>
+     *     <li>jitter - between 0 (the default) and 1; randomly shortens or lengthens each wait by up to that fraction</li>
+     *     <li>retryOn - function (err, attempts) that returns whether the error is worth another attempt; by default every error is</li>
+     *     </ul>
+     * </li>
+     * <li>priority - a number; with the "priority" or "criticalPath" scheduling strategy (see setSchedulingStrategy),
+     *     higher priority vertices are started first when not all READY vertices can start at once; defaults to 0</li>
+     * <li>resources - how many units the vertex needs from which resource pools (see addResourcePool), e.g. {"db": 1, "cpu": 2};
+     *     it holds them while it is IN_PROGRESS</li>
+     * <li>trigger - when the vertex gets to run, depending on its parents (a parent is "taken" when it is SUCCESS and the
+     *     condition on the edge from it, if any, holds - see addEdge):
+     *     <ul>
+     *     <li>"allSuccess" (the default) - runs once every parent is taken; FAILs as soon as a parent FAILs, and is SKIPPED
+     *         when a parent is SKIPPED, CANCELLED or not taken</li>
+     *     <li>"allDone" - runs once every parent is finished, however that went; is SKIPPED only when an edge condition doesn't hold</li>
+     *     <li>"anySuccess" - runs as soon as one parent is taken; if none is, FAILs when a parent FAILed and is SKIPPED otherwise</li>
+     *     </ul>
+     * </li>
+     * </ul>
+     *
+     * @private
+     * @param {string} vertexId - ID of the vertex the options are for
+     * @param {Object} options - The options as given, if any
+     * @param {Array} ownOptionNames - Optional; names of the options that the caller handles itself
+     * @returns {Object}
+     */
+    function vertexOptions(vertexId, options, ownOptionNames)
+    {
+        var validOptions = {};
+        var optionNames = VERTEX_OPTIONS.concat(ownOptionNames || []);
+
+        options = options || {};
+
+        for(var optionName in options)
+        {
+            if(optionNames.indexOf(optionName) == -1)
+            {
+                throw new errors.InvalidOptionError(optionName, "Unknown option " + optionName + " of vertex " + vertexId + "; the options are " + optionNames.join(", "),
+                    {"vertexId": vertexId});
+            }
+        }
+
+        if(options.timeout !== undefined)
+        {
+            validOptions.timeout = validTimeout(options.timeout, "timeout", vertexId);
         }
 
-        // Transfer new states to the vertices
-        for(var i = 0; i < numVertices; i++)
+        if(options.retry !== undefined)
         {
-            var currentVertex = graph.getVertex(topologicalSortOrder[i]);
-            currentVertex.setState(newStates[i]);
+            validOptions.retry = validRetryPolicy(vertexId, options.retry);
         }
+
+        if(options.priority !== undefined)
+        {
+            if(typeof options.priority !== "number" || !isFinite(options.priority))
+            {
+                throw new errors.InvalidOptionError("priority", "priority of vertex " + vertexId + " must be a number, got " + options.priority, {"vertexId": vertexId});
+            }
+
+            validOptions.priority = options.priority;
+        }
+
+        if(options.resources !== undefined)
+        {
+            validOptions.resources = validResources(vertexId, options.resources);
+        }
+
+        if(options.trigger !== undefined)
+        {
+            if(VALID_TRIGGERS.indexOf(options.trigger) == -1)
+            {
+                throw new errors.InvalidOptionError("trigger", "trigger of vertex " + vertexId + " must be one of " + VALID_TRIGGERS.join(", ") + ", got " + options.trigger,
+                    {"vertexId": vertexId});
+            }
+
+            validOptions.trigger = options.trigger;
+        }
+
+        return validOptions;
     }
 
     /**
-     * Starts all processes where associated vertices are READY
+     * Picks the vertex details that toDot/toMermaid render: those of the given report, or else of the most recent run
      *
      * @private
+     * @param {Object} options - Options given to toDot/toMermaid, if any
+     * @returns {Object} null when there are no states to render
      */
-    function startReadyProcesses()
+    function vertexDetailsToRender(options)
     {
-        // Start as many processes as we can!
-        //writeToLog("INFO", "***** maxNumberOfRunningProcesses = " + maxNumberOfRunningProcesses + "; numberOfRunningProcesses = " + numberOfRunningProcesses);
-        var numVertices = graph.vertexCount();
-        var vertexIds = graph.getVertexIds();
+        options = options || {};
 
-        for(var i = 0; i < numVertices; i++)
+        if(options.states === false)
+        {
+            return null;
+        }
+        else if(options.report)
+        {
+            return options.report.vertices;
+        }
+        else
         {
-            if(graph.getVertex(vertexIds[i]).state == "READY")
+            return lastRun ? lastRun.overallState().vertices : null;
+        }
+    }
+
+    /**
+     * Picks the report that toPrometheus/toSpans export: the given one, or else that of the most recent run (as of now)
+     *
+     * @private
+     * @param {Object} options - Options given to toPrometheus/toSpans
+     * @returns {Object}
+     */
+    function reportToExport(options)
+    {
+        return options.report || currentRun().getReport();
+    }
+
+    /**
+     * Checks the resources option of a vertex against the declared resource pools
+     *
+     * @private
+     * @param {string} vertexId - ID of the vertex the option is for
+     * @param {Object} resources - The resources option as given: units, by pool name
+     * @returns {Object}
+     */
+    function validResources(vertexId, resources)
+    {
+        if(resources === null || typeof resources !== "object")
+        {
+            throw new errors.InvalidOptionError("resources", "resources of vertex " + vertexId + " must be an object", {"vertexId": vertexId});
+        }
+
+        var validResources = {};
+
+        for(var poolName in resources)
+        {
+            if(!resourcePools.hasOwnProperty(poolName))
             {
-                if(maxNumberOfRunningProcesses > 0 && numberOfRunningProcesses < maxNumberOfRunningProcesses)
-                {
-                    numberOfRunningProcesses++;
-                    graph.getVertex(vertexIds[i]).setState("IN_PROGRESS");
-                }
-                else if(maxNumberOfRunningProcesses <= 0)
-                {
-                    numberOfRunningProcesses++;
-                    graph.getVertex(vertexIds[i]).setState("IN_PROGRESS");
-                }
+                throw new errors.ResourcePoolNotFoundError(poolName, vertexId);
             }
+            else if(!isPositiveInteger(resources[poolName]) || resources[poolName] > resourcePools[poolName])
+            {
+                throw new errors.InvalidOptionError("resources", "Vertex " + vertexId + " must need a positive integer number of units of resource pool " +
+                    poolName + ", no more than its capacity of " + resourcePools[poolName] + ", got " + resources[poolName], {"vertexId": vertexId, "poolName": poolName});
+            }
+
+            validResources[poolName] = resources[poolName];
         }
+
+        return validResources;
     }
 
     /**
-     * Extracts the vertexIDs from a given array of vertices
+     * Checks a retry policy and fills in the defaults
      *
      * @private
-     * @param {Array} arr - Array of vertices
-     * @returns {Array}
+     * @param {string} vertexId - ID of the vertex the policy is for
+     * @param {Object} retry - The retry option as given
+     * @returns {Object}
      */
-    function vertexIdsFromArray(arr)
+    function validRetryPolicy(vertexId, retry)
     {
-        var numVertices = arr.length;
-        var vertexIds = [];
+        var owner = vertexId !== undefined ? " of vertex " + vertexId : " of the default retry policy";
+        var details = vertexId !== undefined ? {"vertexId": vertexId} : {};
+        var prefix = vertexId !== undefined ? "retry." : "defaultRetry.";       // Of the option names in errors
+
+        if(retry === null || typeof retry !== "object")
+        {
+            throw new errors.InvalidOptionError(vertexId !== undefined ? "retry" : "defaultRetry", (vertexId !== undefined ? "retry of vertex " + vertexId : "Default retry policy") + " must be an object, got " + retry, details);
+        }
+
+        for(var optionName in retry)
+        {
+            if(RETRY_OPTIONS.indexOf(optionName) == -1)
+            {
+                throw new errors.InvalidOptionError(prefix + optionName, "Unknown retry option " + optionName + owner + "; the options are " + RETRY_OPTIONS.join(", "),
+                    details);
+            }
+        }
 
-        for(var i = 0; i < numVertices; i++)
+        var policy = {
+            "maxAttempts": retry.maxAttempts,
+            "backoff": retry.backoff !== undefined ? retry.backoff : "fixed",
+            "delay": retry.delay !== undefined ? retry.delay : 0,
+            "maxDelay": retry.maxDelay !== undefined ? retry.maxDelay : 0,
+            "jitter": retry.jitter !== undefined ? retry.jitter : 0,
+            "retryOn": retry.retryOn        // Left out means every error is worth another attempt
+        };
+
+        if(typeof policy.maxAttempts !== "number" || policy.maxAttempts < 1 || Math.floor(policy.maxAttempts) !== policy.maxAttempts)
+        {
+            throw new errors.InvalidOptionError(prefix + "maxAttempts", "maxAttempts" + owner + " must be a positive integer, got " + policy.maxAttempts, details);
+        }
+        else if(policy.backoff != "fixed" && policy.backoff != "exponential")
+        {
+            throw new errors.InvalidOptionError(prefix + "backoff", "backoff" + owner + " must be \"fixed\" or \"exponential\", got " + policy.backoff, details);
+        }
+        else if(typeof policy.jitter !== "number" || !(policy.jitter >= 0 && policy.jitter <= 1))
+        {
+            throw new errors.InvalidOptionError(prefix + "jitter", "jitter" + owner + " must be a number between 0 and 1, got " + policy.jitter, details);
+        }
+        else if(policy.retryOn !== undefined && typeof policy.retryOn !== "function")
         {
-            vertexIds.push(arr[i].id);
+            throw new errors.InvalidOptionError(prefix + "retryOn", "retryOn" + owner + " must be a function", details);
         }
 
-        return vertexIds;
+        policy.delay = validTimeout(policy.delay, prefix + "delay", vertexId);
+        policy.maxDelay = validTimeout(policy.maxDelay, prefix + "maxDelay", vertexId);
+
+        return policy;
     }
 
     /**
-     * Wrapper around logging mechanism's addLog method
+     * Checks the options given to the constructor (see there) that it takes care of itself, and fills in their defaults;
+     * the rest are left to the setters they go to
      *
      * @private
-     * @param level
-     * @param {string} msg
+     * @param {Object} options - The options as given
+     * @returns {Object} A copy of them
      */
-    function writeToLog(level, msg)
+    function validConstructorOptions(options)
     {
-        var displayPrefix = "PK-" + pkGuid + ": ";
-        if(loggingMechanism && logUserObject)
+        var validOptions = copyObject(options);
+
+        for(var optionName in options)
         {
-            loggingMechanism.addLog(level, displayPrefix + msg, logUserObject);
+            if(CONSTRUCTOR_OPTIONS.indexOf(optionName) == -1)
+            {
+                throw new errors.InvalidOptionError(optionName, "Unknown option " + optionName + "; the options are " + CONSTRUCTOR_OPTIONS.join(", "));
+            }
         }
-        else
+
+        if(typeof options.name !== "string" || options.name === "")
+        {
+            throw new errors.InvalidOptionError("name", "name must be a non-empty string, got " + options.name);
+        }
+        else if(options.onComplete !== undefined && options.onComplete !== null && typeof options.onComplete !== "function")
+        {
+            throw new errors.InvalidOptionError("onComplete", "onComplete must be a function, got " + options.onComplete);
+        }
+        else if(options.failurePolicy !== undefined && VALID_FAILURE_POLICIES.indexOf(options.failurePolicy) == -1)
+        {
+            throw new errors.InvalidOptionError("failurePolicy", "failurePolicy must be one of " + VALID_FAILURE_POLICIES.join(", ") + ", got " + options.failurePolicy);
+        }
+        else if(options.concurrency !== undefined && options.concurrency !== Infinity && !isPositiveInteger(options.concurrency))
+        {
+            throw new errors.InvalidOptionError("concurrency", "concurrency must be a positive integer, or Infinity for no limit, got " + options.concurrency);
+        }
+        else if(options.resourcePools !== undefined && (options.resourcePools === null || typeof options.resourcePools !== "object"))
+        {
+            throw new errors.InvalidOptionError("resourcePools", "resourcePools must be an object holding the capacity of each pool, by name");
+        }
+        else if(options.userObject !== undefined && (options.logger === undefined || options.logger === null || typeof options.logger.addLog !== "function"))
+        {
+            throw new errors.InvalidOptionError("userObject", "userObject is only passed on to a logger's addLog method, so it needs such a logger");
+        }
+
+        validOptions.failurePolicy = options.failurePolicy !== undefined ? options.failurePolicy : "continue";
+        validOptions.concurrency = options.concurrency !== undefined ? options.concurrency : Infinity;
+
+        return validOptions;
+    }
+
+    /**
+     * Turns the positional constructor arguments into constructor options, taking them as leniently as PK always has:
+     * a name that isn't a string is turned into one, a finalCallback that isn't a function is never called, anything
+     * that makes a number above 0 is a limit (a fraction is rounded up) and anything else means no limit, and a logger
+     * without a log or addLog method means the console
+     *
+     * @private
+     * @returns {Object}
+     */
+    function positionalOptions(pkName, finalCallback, quitOnFailure, maxNumRunningProcesses, logger, userObject)
+    {
+        var limit = Number(maxNumRunningProcesses);
+        var isLogger = !!logger && (typeof logger.log === "function" || typeof logger.addLog === "function");
+
+        return {
+            "name": String(pkName),
+            "onComplete": typeof finalCallback === "function" ? finalCallback : null,
+            "failurePolicy": quitOnFailure ? "stop" : "continue",
+            "concurrency": limit > 0 ? Math.ceil(limit) : Infinity,
+            "logger": isLogger ? logger : undefined,
+            "userObject": userObject
+        };
+    }
+
+    /**
+     * Is the value a positive integer?
+     *
+     * @private
+     * @param {*} value
+     * @returns {boolean}
+     */
+    function isPositiveInteger(value)
+    {
+        return typeof value === "number" && value >= 1 && Math.floor(value) === value;
+    }
+
+    /**
+     * Makes a shallow copy of an object
+     *
+     * @private
+     * @param {Object} obj
+     * @returns {Object}
+     */
+    function copyObject(obj)
+    {
+        var copy = {};
+
+        for(var key in obj)
+        {
+            copy[key] = obj[key];
+        }
+
+        return copy;
+    }
+
+    /**
+     * Checks that a timeout is a non-negative number of milliseconds that a timer can wait for (no more than MAX_TIMEOUT)
+     *
+     * @private
+     * @param {number} timeout - The timeout to check
+     * @param {string} optionName - Name of the option it was given as, e.g. "runTimeout" or "retry.delay"
+     * @param {string} vertexId - Optional; ID of the vertex it was given for
+     * @returns {number}
+     */
+    function validTimeout(timeout, optionName, vertexId)
+    {
+        if(typeof timeout !== "number" || !isFinite(timeout) || timeout < 0 || timeout > MAX_TIMEOUT)
         {
-            console.log(displayPrefix + msg);
+            throw new errors.InvalidOptionError(optionName, optionName + (vertexId !== undefined ? " of vertex " + vertexId : "") +
+                " must be a non-negative number of milliseconds, no more than " + MAX_TIMEOUT + ", got " + timeout,
+                vertexId !== undefined ? {"vertexId": vertexId} : {});
+        }
+
+        return timeout;
+    }
+
+    /**
+     * Passes a message on to the log adapter, unless its level is below the minimum (see setLogLevel)
+     *
+     * @private
+     * @param {string} level - "debug", "info", "warn" or "error"
+     * @param {string} msg - The message
+     * @param {Object} fields - Optional structured fields (runId, vertexId, state, attempt, durationMs, error); pkGuid is added
+     */
+    function writeToLog(level, msg, fields)
+    {
+        if(logging.isEnabled(level, logLevel))
+        {
+            var logFields = {"pkGuid": pkGuid};
+
+            for(var name in fields)
+            {
+                logFields[name] = fields[name];
+            }
+
+            logAdapter.log(level, msg, logFields);
         }
     }
 
@@ -573,6 +1315,34 @@ function PigeonKeeper(pkName, finalCallback, quitOnFailure, maxNumRunningProcess
     }
 }
 
+// Next line makes this object inherit from events.EventEmitter
+PigeonKeeper.prototype.__proto__ = events.EventEmitter.prototype;
+
+PigeonKeeper.errors = errors;
+PigeonKeeper.MemoryJournal = journals.MemoryJournal;
+PigeonKeeper.FileJournal = journals.FileJournal;
+PigeonKeeper.loggers = {
+    "console": logging.consoleLogger,
+    "pino": logging.pinoLogger,
+    "bunyan": logging.bunyanLogger,
+    "winston": logging.winstonLogger
+};
+
+/**
+ * Builds a PK from a plain, JSON-friendly definition (see definition.js for what one looks like), instead of calling
+ * addVertex/addTask and addEdge one by one; throws a DefinitionError (unknown task, dangling edge, duplicate ID, ...) or
+ * a CycleError when the definition doesn't hold up
+ *
+ * @param {Object} definition - The definition
+ * @param {Object} taskRegistry - Implementations of the tasks, services, edge conditions and retryOn functions, by the names the definition uses
+ * @param {Object} options - Optional; {finalCallback, logger, userObject}, as for the constructor
+ * @returns {PigeonKeeper}
+ */
+PigeonKeeper.fromDefinition = function (definition, taskRegistry, options)
+{
+    return definitions.fromDefinition(PigeonKeeper, definition, taskRegistry, options);
+};
+
 if(typeof module !== "undefined")
 {
     module.exports = PigeonKeeper;
@@ -0,0 +1,352 @@
+/**
+ * Works out what a run of a PigeonKeeper's graph would do, without running anything (see PigeonKeeper.plan)
+ *
+ * The plan assumes every vertex SUCCEEDs and every edge is taken; conditions, triggers, retries and timeouts are left out.
+ */
+
+var errors = require("./errors");
+var scheduler = require("./scheduler");
+
+
+/**
+ * Plans a run of the graph
+ * <br />
+ * The plan holds:
+ * <ul>
+ * <li>topologicalSortOrder - as Digraph.topologicalSort has it (empty if the graph has a cycle)</li>
+ * <li>waves - the vertices by level: the first wave has the vertices without parents, and every other vertex is in the
+ *     wave after the last of its parents; every vertex in a wave can run at the same time</li>
+ * <li>maxWidth - how many vertices the largest wave has; maxConcurrency - how many of those can run at once, given
+ *     maxNumberOfRunningProcesses</li>
+ * <li>criticalPath - {vertexIds, duration}: the longest path through the graph, by estimated duration if there are
+ *     estimates (duration is null if there aren't), by number of vertices otherwise</li>
+ * <li>orphans - vertices without any edges, in a graph with more than one vertex</li>
+ * <li>timeline, makespan - with estimates only: {vertexId, start, end} for every vertex that would run (in ms from
+ *     the start of the run, in the order they would start), as the run's concurrency limit, resource pools and
+ *     scheduling strategy have it, and when the last one would end; null without estimates</li>
+ * </ul>
+ *
+ * @param {Digraph} graph - The PigeonKeeper's graph; each vertex's data holds its work, with the vertex options
+ * @param {Object} settings - {maxNumberOfRunningProcesses, schedulingStrategy, resourcePools}, as for a run
+ * @param {Object} options - Optional; {durations, defaultDuration}: estimated durations in ms, by vertex ID, and for
+ *                           the vertices that have none (0 if left out)
+ * @returns {Object}
+ */
+function plan(graph, settings, options)
+{
+    options = options || {};
+
+    var estimates = estimatedDurations(graph, options);
+    var waves = wavesOf(graph);
+    var maxWidth = 0;
+
+    for(var i = 0; i < waves.length; i++)
+    {
+        maxWidth = Math.max(maxWidth, waves[i].length);
+    }
+
+    var vertexIds = graph.getVertexIds();
+    var orphans = [];
+
+    for(var i = 0; i < vertexIds.length; i++)
+    {
+        if(vertexIds.length > 1 && graph.indegree(vertexIds[i]) == 0 && graph.outdegree(vertexIds[i]) == 0)
+        {
+            orphans.push(vertexIds[i]);
+        }
+    }
+
+    var cap = settings.maxNumberOfRunningProcesses;
+    var runOrder = [].concat.apply([], waves);
+    var timeline = estimates ? simulate(graph, settings, runOrder, estimates) : null;
+    var makespan = null;
+
+    if(timeline)
+    {
+        makespan = 0;
+
+        for(var i = 0; i < timeline.length; i++)
+        {
+            makespan = Math.max(makespan, timeline[i].end);
+        }
+    }
+
+    return {
+        "topologicalSortOrder": graph.topologicalSort().map(function (vertex) {return vertex.id;}),
+        "waves": waves,
+        "maxWidth": maxWidth,
+        "maxConcurrency": cap > 0 ? Math.min(maxWidth, cap) : maxWidth,
+        "criticalPath": criticalPath(graph, runOrder, estimates),
+        "orphans": orphans,
+        "timeline": timeline,
+        "makespan": makespan
+    };
+}
+
+/**
+ * Checks the estimated durations, if any, and fills in the default for the vertices without one
+ *
+ * @private
+ * @param {Digraph} graph - The graph
+ * @param {Object} options - Options given to plan
+ * @returns {Object} Estimated durations, by vertex ID; null if none were given
+ */
+function estimatedDurations(graph, options)
+{
+    if(options.durations === undefined && options.defaultDuration === undefined)
+    {
+        return null;
+    }
+
+    var defaultDuration = options.defaultDuration !== undefined ? options.defaultDuration : 0;
+    var durations = options.durations || {};
+    var estimates = {};
+    var vertexIds = graph.getVertexIds();
+
+    checkDuration(defaultDuration, "defaultDuration");
+
+    for(var vertexId in durations)
+    {
+        if(!graph.hasVertexId(vertexId))
+        {
+            throw new errors.VertexNotFoundError(vertexId);
+        }
+
+        checkDuration(durations[vertexId], "durations", vertexId);
+    }
+
+    for(var i = 0; i < vertexIds.length; i++)
+    {
+        estimates[vertexIds[i]] = durations.hasOwnProperty(vertexIds[i]) ? durations[vertexIds[i]] : defaultDuration;
+    }
+
+    return estimates;
+}
+
+/**
+ * Throws an InvalidOptionError unless the duration is a non-negative number of milliseconds
+ *
+ * @private
+ * @param {*} duration - The duration
+ * @param {string} option - Which option it was given as
+ * @param {string} vertexId - Which vertex it is for, if any
+ */
+function checkDuration(duration, option, vertexId)
+{
+    if(typeof duration !== "number" || !(duration >= 0) || duration === Infinity)
+    {
+        throw new errors.InvalidOptionError(option, "Estimated duration" + (vertexId !== undefined ? " of vertex " + vertexId : "") +
+            " must be a non-negative number of milliseconds, got " + duration, vertexId !== undefined ? {"vertexId": vertexId} : {});
+    }
+}
+
+/**
+ * Groups the vertices into waves (see plan), Kahn's algorithm style: a vertex joins the next wave once all its parents are in one
+ *
+ * @private
+ * @param {Digraph} graph - The graph
+ * @returns {Array} Lists of vertex IDs; vertices on (or behind) a cycle are in none
+ */
+function wavesOf(graph)
+{
+    var waves = [];
+    var remainingParents = {};
+    var vertexIds = graph.getVertexIds();
+    var wave = [];
+
+    for(var i = 0; i < vertexIds.length; i++)
+    {
+        remainingParents[vertexIds[i]] = graph.indegree(vertexIds[i]);
+
+        if(remainingParents[vertexIds[i]] == 0)
+        {
+            wave.push(vertexIds[i]);
+        }
+    }
+
+    while(wave.length > 0)
+    {
+        var nextWave = [];
+
+        for(var i = 0; i < wave.length; i++)
+        {
+            var childVertexIds = graph.getChildVertexIds(wave[i]);
+
+            for(var j = 0; j < childVertexIds.length; j++)
+            {
+                if(--remainingParents[childVertexIds[j]] == 0)
+                {
+                    nextWave.push(childVertexIds[j]);
+                }
+            }
+        }
+
+        waves.push(wave);
+        wave = nextWave;
+    }
+
+    return waves;
+}
+
+/**
+ * Finds the longest path through the graph
+ *
+ * @private
+ * @param {Digraph} graph - The graph
+ * @param {Array} runOrder - IDs of the vertices that would run, in topological order
+ * @param {Object} estimates - Estimated durations, by vertex ID; null to count vertices instead
+ * @returns {{vertexIds, duration}}
+ */
+function criticalPath(graph, runOrder, estimates)
+{
+    var lengths = {};           // Of the longest path ending in each vertex, by vertex ID
+    var previous = {};          // The vertex before it on that path
+    var lastVertexId = null;
+
+    for(var i = 0; i < runOrder.length; i++)
+    {
+        var parentVertexIds = graph.getParentVertexIds(runOrder[i]);
+        var longestParentPath = 0;
+
+        previous[runOrder[i]] = null;
+
+        for(var j = 0; j < parentVertexIds.length; j++)
+        {
+            if(lengths[parentVertexIds[j]] > longestParentPath || previous[runOrder[i]] === null)
+            {
+                longestParentPath = lengths[parentVertexIds[j]];
+                previous[runOrder[i]] = parentVertexIds[j];
+            }
+        }
+
+        lengths[runOrder[i]] = longestParentPath + (estimates ? estimates[runOrder[i]] : 1);
+
+        if(lastVertexId === null || lengths[runOrder[i]] > lengths[lastVertexId])
+        {
+            lastVertexId = runOrder[i];
+        }
+    }
+
+    var vertexIds = [];
+
+    for(var vertexId = lastVertexId; vertexId !== null; vertexId = previous[vertexId])
+    {
+        vertexIds.unshift(vertexId);
+    }
+
+    return {"vertexIds": vertexIds, "duration": estimates ? (lastVertexId !== null ? lengths[lastVertexId] : 0) : null};
+}
+
+/**
+ * Plays a run through with the estimated durations, starting vertices the way a run would (see Run's startReadyProcesses)
+ *
+ * @private
+ * @param {Digraph} graph - The graph
+ * @param {Object} settings - Settings given to plan
+ * @param {Array} runOrder - IDs of the vertices that would run, in topological order
+ * @param {Object} estimates - Estimated durations, by vertex ID
+ * @returns {Array} {vertexId, start, end}, in the order the vertices would start
+ */
+function simulate(graph, settings, runOrder, estimates)
+{
+    var cap = settings.maxNumberOfRunningProcesses;
+    var resourcePools = settings.resourcePools || {};
+    var readyQueue = new scheduler.ReadyQueue(settings.schedulingStrategy);
+    var remainingPathLengths = scheduler.remainingPathLengths(graph, runOrder);
+    var remainingParents = {};
+    var resourcesInUse = {};
+    var running = [];           // Timeline entries of the vertices that are running, soonest to end first
+    var timeline = [];
+    var now = 0;
+
+    function optionsOf(vertexId)
+    {
+        return graph.getVertex(vertexId).data.options;
+    }
+
+    function makeReady(vertexId)
+    {
+        readyQueue.push(vertexId, optionsOf(vertexId).priority || 0, remainingPathLengths[vertexId]);
+    }
+
+    function changeResourcesInUse(vertexId, direction)
+    {
+        var resources = optionsOf(vertexId).resources;
+
+        for(var poolName in resources)
+        {
+            resourcesInUse[poolName] = (resourcesInUse[poolName] || 0) + direction * resources[poolName];
+        }
+    }
+
+    function resourcesAvailable(vertexId)
+    {
+        var resources = optionsOf(vertexId).resources;
+
+        for(var poolName in resources)
+        {
+            if((resourcesInUse[poolName] || 0) + resources[poolName] > resourcePools[poolName])
+            {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    for(var i = 0; i < runOrder.length; i++)
+    {
+        remainingParents[runOrder[i]] = graph.indegree(runOrder[i]);
+
+        if(remainingParents[runOrder[i]] == 0)
+        {
+            makeReady(runOrder[i]);
+        }
+    }
+
+    while(readyQueue.size() > 0 || running.length > 0)
+    {
+        while(readyQueue.size() > 0 && (cap <= 0 || running.length < cap))
+        {
+            var vertexId = readyQueue.takeFirst(resourcesAvailable);
+
+            if(vertexId === undefined)
+            {
+                break;
+            }
+
+            var entry = {"vertexId": vertexId, "start": now, "end": now + estimates[vertexId]};
+
+            changeResourcesInUse(vertexId, 1);
+            timeline.push(entry);
+            running.push(entry);
+        }
+
+        // Nothing can be waiting without something running, since no vertex needs more than a pool has
+        running.sort(function (a, b) {return a.end - b.end;});
+
+        var finished = running.shift();
+
+        now = finished.end;
+        changeResourcesInUse(finished.vertexId, -1);
+
+        var childVertexIds = graph.getChildVertexIds(finished.vertexId);
+
+        for(var i = 0; i < childVertexIds.length; i++)
+        {
+            if(--remainingParents[childVertexIds[i]] == 0)
+            {
+                makeReady(childVertexIds[i]);
+            }
+        }
+    }
+
+    return timeline;
+}
+
+if(typeof module !== "undefined")
+{
+    module.exports = {
+        plan: plan
+    };
+}
@@ -0,0 +1,1697 @@
+var Digraph = require("./digraph");
+var runTask = require("./task");
+var runMap = require("./map");
+var subgraphs = require("./subgraph");
+var errors = require("./errors");
+var scheduler = require("./scheduler");
+
+var VALID_STATES = ["NOT_READY", "READY", "IN_PROGRESS", "RETRYING", "SUCCESS", "SKIPPED", "FAIL", "CANCELLED"];
+var FINAL_STATES = ["SUCCESS", "SKIPPED", "FAIL", "CANCELLED"];
+var MAX_TIMEOUT = 2147483647;      // Longest a timer can wait, in ms; setTimeout fires right away for anything longer
+
+
+/**
+ * Turns an error into a plain object, so it survives JSON.stringify (which ignores an Error's own message and stack)
+ *
+ * @private
+ * @param {*} err - The error, if any
+ * @returns {Object}
+ */
+function describeError(err)
+{
+    if(err instanceof Error)
+    {
+        var description = {"name": err.name, "message": err.message, "code": err.code, "stack": err.stack};
+
+        if(err.cause !== undefined)
+        {
+            description.cause = describeError(err.cause);
+        }
+
+        return description;
+    }
+    else
+    {
+        return err === undefined ? null : err;
+    }
+}
+
+
+/**
+ * Wraps plain objects and arrays in a Proxy that refuses every change, all the way down; anything else is given back as is
+ * <br />
+ * Used for the config in data-flow mode, so tasks can read it without a copy being made, but can't change it under each other's feet
+ *
+ * @private
+ * @param {*} value - The value to wrap
+ * @returns {*}
+ */
+function readOnlyView(value)
+{
+    var isPlain = value !== null && typeof value === "object" &&
+        (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+
+    return isPlain ? new Proxy(value, READ_ONLY_HANDLER) : value;
+}
+
+
+/**
+ * Turns the errors in a vertex's details (see Run's vertexDetails) into plain objects, along with those of its map items
+ * and of the vertices of its subgraph
+ *
+ * @private
+ * @param {Object} details - The details, which are changed in place
+ * @returns {Object} The details
+ */
+function describeErrors(details)
+{
+    details.error = describeError(details.error);
+
+    for(var i = 0; i < (details.items || []).length; i++)
+    {
+        details.items[i].error = describeError(details.items[i].error);
+    }
+
+    for(var vertexId in details.vertices)
+    {
+        describeErrors(details.vertices[vertexId]);
+    }
+
+    return details;
+}
+
+var READ_ONLY_HANDLER = {
+    "get": function (target, property)
+    {
+        var descriptor = Object.getOwnPropertyDescriptor(target, property);
+
+        // A Proxy must give back non-configurable, read-only properties exactly as they are
+        if(descriptor && !descriptor.configurable && !descriptor.writable)
+        {
+            return target[property];
+        }
+
+        return readOnlyView(target[property]);
+    },
+    "set": refuseChange,
+    "defineProperty": refuseChange,
+    "deleteProperty": refuseChange,
+    "setPrototypeOf": refuseChange
+};
+
+/**
+ * Proxy trap that throws, for readOnlyView
+ *
+ * @private
+ * @param {Object} target - The object that was to be changed
+ * @param {string} property - The property that was to be changed, if any
+ */
+function refuseChange(target, property)
+{
+    throw new TypeError("The config is read-only" + (property !== undefined ? " (can't change " + String(property) + ")" : ""));
+}
+
+
+/**
+ * Computes how long to wait before the next attempt of a vertex
+ *
+ * @private
+ * @param {Object} retryPolicy - {backoff, delay, maxDelay, jitter}
+ * @param {number} attempts - How many attempts have been made so far
+ * @returns {number}
+ */
+function retryDelay(retryPolicy, attempts)
+{
+    var delay = retryPolicy.delay;
+
+    if(retryPolicy.backoff == "exponential")
+    {
+        delay = delay * Math.pow(2, attempts - 1);
+    }
+
+    if(retryPolicy.maxDelay > 0)
+    {
+        delay = Math.min(delay, retryPolicy.maxDelay);
+    }
+
+    // Jitter spreads the delay evenly over [delay * (1 - jitter), delay * (1 + jitter)]
+    delay = delay * (1 + retryPolicy.jitter * (2 * Math.random() - 1));
+
+    // Exponential backoff without a maxDelay soon outgrows what a timer can wait for
+    return Math.min(Math.round(delay), MAX_TIMEOUT);
+}
+
+/**
+ * Listener that stays on a service's "error" event once no run is listening to it anymore; without one, an error the
+ * service emits late (after its vertex timed out, say) would be thrown by the EventEmitter and crash the process
+ *
+ * @private
+ */
+function ignoreLateError()
+{
+}
+
+
+/**
+ * Creates a single run of a PigeonKeeper's graph
+ * <br />
+ * Every run works on its own copy of the graph (taken when the run is created), so its vertex states, shared data and
+ * counters are isolated from any other run of the same PigeonKeeper - even ones that are in progress at the same time
+ *
+ * @constructor
+ * @param {string} runGloballyUniqueId - GUID for this run; passed-in from PigeonKeeper
+ * @param {Digraph} template - The PigeonKeeper's graph; each vertex's data holds the work associated with it
+ * @param {Object} settings - {pkGuid, quitOnFailure, maxNumberOfRunningProcesses, resourcePools, schedulingStrategy, dataFlow,
+ *                            journal, defaultTimeout, defaultRetry, runTimeout, writeToLog, emit, finalCallback}; resourcePools holds the
+ *                            capacity of each pool, by name; dataFlow turns on data-flow mode (see PigeonKeeper.setDataFlow);
+ *                            journal, if any, is where the run records what happens (see journal.js);
+ *                            writeToLog(level, message, fields) logs (see logger.js);
+ *                            emit(eventName, payload) publishes the run's lifecycle events (see PigeonKeeper)
+ */
+function Run(runGloballyUniqueId, template, settings)
+{
+    var self = this;
+
+    var runGuid = runGloballyUniqueId;
+    var pkGuid = settings.pkGuid;
+    var quitOnFailure = settings.quitOnFailure;
+    var maxNumberOfRunningProcesses = settings.maxNumberOfRunningProcesses;
+    var resourcePools = settings.resourcePools;
+    var schedulingStrategy = settings.schedulingStrategy;
+    var dataFlow = settings.dataFlow;
+    var journal = settings.journal;
+    var defaultTimeout = settings.defaultTimeout;
+    var defaultRetry = settings.defaultRetry;
+    var runTimeout = settings.runTimeout;
+    var finalCallback = settings.finalCallback;
+
+    var works = {};                 // The work associated with each vertex (see launch), by vertex ID
+    var edgeConditionResults = {};  // Outcome of each conditional edge's condition - by end vertex ID, then by start vertex ID
+    var mapItems = {};              // Details of the items of each map vertex that has been started (see map.js), by vertex ID
+    var subgraphRuns = {};          // The inner run of each subgraph vertex that has been started (see subgraph.js), by vertex ID
+
+    var graph = copyGraph();
+    graph.parent = self;
+
+    var finalCallbackExecuted = false;
+    var isCurrentlyRunning = false;
+    var numberOfRunningProcesses = 0;
+    var resourcesInUse = {};        // Units of each resource pool held by vertices that are IN_PROGRESS, by pool name
+
+    var topologicalSortOrder;       // Computed when the run starts
+
+    var stateCounts = {};           // How many vertices are in each state, kept up to date as states change
+    var readyQueue = new scheduler.ReadyQueue(schedulingStrategy);     // Vertices that have become READY; some may have moved on since
+    var remainingPathLengths = {};  // See scheduler.remainingPathLengths; computed when the run starts
+    var changedVertexIds = [];      // Vertices whose parents changed while the run was in progress (see applyGraphChanges)
+    var graphChangesScheduled = false;
+
+    var inFlight = {};              // Work that has been launched and hasn't finished yet, by vertex ID
+    var runTimer = null;            // Fires when the run's deadline passes
+    var retryTimers = {};           // Fire when RETRYING vertices may become READY again, by vertex ID
+
+    var runStartTime = null;
+    var runEndTime = null;
+    var resolveRun;                 // Settle the Promise returned by start()
+    var rejectRun;
+
+    var results = {};               // The sharedData; in data-flow mode, the output of every vertex that has SUCCEEDed, by vertex ID
+    var config = null;              // In data-flow mode, a read-only view of the sharedData
+
+    /**
+     * Returns the GUID of this run
+     *
+     * @returns {string}
+     */
+    this.getId = function ()
+    {
+        return runGuid;
+    };
+
+    /**
+     * Is this run currently running?
+     *
+     * @returns {boolean}
+     */
+    this.isRunning = function ()
+    {
+        return isCurrentlyRunning;
+    };
+
+    /**
+     * Starts the run; see PigeonKeeper.start for what the returned Promise settles with
+     * <br />
+     * When resuming an earlier run (see PigeonKeeper.resume), the vertices that were SUCCESS in it start out SUCCESS, with
+     * the outputs they had; the rest start from scratch
+     *
+     * @param {Object} sharedData - Common object that processes can modify
+     * @param {Object} resumeFrom - Optional; {runId, outputs} of the run to resume (see journal.checkpoint)
+     * @param {AbortSignal} signal - Optional; if it has been aborted already, the run is aborted before any work is started
+     * @returns {Promise}
+     */
+    this.start = function (sharedData, resumeFrom, signal)
+    {
+        var runPromise = new Promise(function (resolve, reject)
+        {
+            resolveRun = resolve;
+            rejectRun = reject;
+        });
+
+        // Callers who only use finalCallback never look at the promise, so don't let a failed run become an unhandled rejection
+        runPromise.catch(function () {});
+
+        finalCallbackExecuted = false;
+        runStartTime = Date.now();
+        runEndTime = null;
+        results = dataFlow ? {} : sharedData;
+        config = dataFlow ? readOnlyView(sharedData) : null;
+        topologicalSortOrder = vertexIdsFromArray(graph.topologicalSort());
+        numberOfRunningProcesses = 0;
+
+        for(var poolName in resourcePools)
+        {
+            resourcesInUse[poolName] = 0;
+        }
+        isCurrentlyRunning = true;
+
+        if(topologicalSortOrder.length < graph.vertexCount())
+        {
+            // Without a topological order nothing would ever become READY, and the run would never finish
+            var cycleError = new errors.CycleError(graph.findCycle());
+            writeToLog("error", cycleError.message);
+            finish(cycleError);
+            return runPromise;
+        }
+
+        emit("runStart", {"runId": runGuid, "sharedData": sharedData, "topologicalSortOrder": topologicalSortOrder});
+        record({"type": "runStart", "sharedData": sharedData, "resumedFrom": resumeFrom ? resumeFrom.runId : null});
+
+        if(runTimeout > 0)
+        {
+            runTimer = setTimeout(onRunTimeout, runTimeout);
+        }
+
+        initializeStates();
+
+        if(resumeFrom)
+        {
+            restoreOutputs(resumeFrom);
+        }
+
+        if(signal && signal.aborted)
+        {
+            self.abort(signal.reason);
+            return runPromise;
+        }
+
+        updateStates(null);
+        checkProgress(null);
+
+        return runPromise;
+    };
+
+    /**
+     * Aborts the run: no more vertices are started, work in progress is asked to stop (through its AbortSignal or its
+     * service's cancel method), every unfinished vertex becomes CANCELLED and the run ends with a CancelledError
+     * <br />
+     * Does nothing if the run isn't running (any more)
+     *
+     * @param {*} reason - Optional reason, kept as the CancelledError's reason
+     */
+    this.abort = function (reason)
+    {
+        if(isCurrentlyRunning)
+        {
+            var cancelledError = new errors.CancelledError(runGuid, reason);
+
+            writeToLog("error", cancelledError.message);
+            isCurrentlyRunning = false;
+            stopUnfinishedVertices("CANCELLED", cancelledError);
+            finish(cancelledError);
+        }
+    };
+
+    /**
+     * Sets the state of the vertex with vertexId; tests whether it is OK to run finalCallback
+     *
+     * @param {string} vertexId - ID of a vertex in the digraph
+     * @param {VALID_STATES} newState - The new state
+     */
+    this.setState = function (vertexId, newState)
+    {
+        if(graph.hasVertexId(vertexId))
+        {
+            if(VALID_STATES.indexOf(newState) > -1)
+            {
+                graph.getVertex(vertexId).setState(newState);
+
+                if(newState == "SUCCESS" || newState == "FAIL")
+                {
+                    carryOnAfter(vertexId, newState);
+                }
+            }
+            else
+            {
+                // Attempt was made to set the vertex's state to something other than the allowable states!
+                throw new errors.InvalidStateError(newState, vertexId);
+            }
+        }
+        else
+        {
+            // Attempt was made to set the state of a non-existent vertex!
+            throw new errors.VertexNotFoundError(vertexId);
+        }
+    };
+
+    /**
+     * Returns description of the run's current condition, including the states of each vertex
+     *
+     * @returns {{}}
+     */
+    this.overallState = function ()
+    {
+        var pkOverallState = {};
+
+        var vertexStates = [];      // Lists of vertex IDs, parallel to VALID_STATES
+
+        for(var i = 0; i < VALID_STATES.length; i++)
+        {
+            vertexStates.push([]);
+        }
+
+        var numVertices = graph.vertexCount();
+        var vertexIds = graph.getVertexIds();
+
+        pkOverallState["globallyUniqueId"] = pkGuid;
+        pkOverallState["runId"] = runGuid;
+
+        pkOverallState["topologicalSortOrder"] = topologicalSortOrder;
+
+        for(var i = 0; i < numVertices; i++)
+        {
+            var currentVertexState = graph.getVertex(vertexIds[i]).state;
+            var stateIndex = VALID_STATES.indexOf(currentVertexState);
+
+            vertexStates[stateIndex].push(vertexIds[i]);
+        }
+
+        for (var i = 0; i < VALID_STATES.length; i++)
+        {
+            pkOverallState[VALID_STATES[i]] = vertexStates[i];
+        }
+
+        pkOverallState["vertices"] = {};
+
+        for(var i = 0; i < numVertices; i++)
+        {
+            pkOverallState["vertices"][vertexIds[i]] = describeErrors(vertexDetails(graph.getVertex(vertexIds[i])));
+        }
+
+        pkOverallState["startTime"] = runStartTime;
+        pkOverallState["endTime"] = runEndTime;
+        pkOverallState["timings"] = runTimings(pkOverallState["vertices"], runStartTime !== null ? (runEndTime || Date.now()) - runStartTime : null);
+
+        pkOverallState["quitOnFailure"] = quitOnFailure;
+        pkOverallState["isRunning"] = isCurrentlyRunning;
+        pkOverallState["maxNumberOfRunningProcesses"] = maxNumberOfRunningProcesses;
+        pkOverallState["numberOfRunningProcesses"] = numberOfRunningProcesses;
+        pkOverallState["resourcePools"] = {};
+
+        for(var poolName in resourcePools)
+        {
+            pkOverallState["resourcePools"][poolName] = {"capacity": resourcePools[poolName], "inUse": resourcesInUse[poolName] || 0};
+        }
+        pkOverallState["defaultTimeout"] = defaultTimeout;
+        pkOverallState["runTimeout"] = runTimeout;
+        pkOverallState["results"] = results;
+
+        return pkOverallState;
+    };
+
+    /**
+     * Returns the run report (see PigeonKeeper.start): the one the run ended with, or one as of now if it hasn't ended yet
+     *
+     * @returns {Object}
+     */
+    this.getReport = function ()
+    {
+        return buildReport();
+    };
+
+    /**
+     * Returns the sharedData object specified in the start method; in data-flow mode, the output of every vertex that has SUCCEEDed, by vertex ID
+     *
+     * @returns {{}}
+     */
+    this.getResults = function ()
+    {
+        return results;
+    };
+
+    /**
+     * Throws a VertexStartedError if a change to the graph (see PigeonKeeper.addEdge and PigeonKeeper.removeVertex) comes
+     * too late for this run; to be called before the change is made anywhere
+     * <br />
+     * A vertex can only get another parent until it is started, and can't be removed while it is IN_PROGRESS or RETRYING
+     *
+     * @param {string} change - "addEdge" or "removeVertex"
+     * @param {string} vertexId - ID of the end vertex of the edge, or of the vertex to remove
+     */
+    this.checkGraphChange = function (change, vertexId)
+    {
+        if(isCurrentlyRunning && graph.hasVertexId(vertexId))
+        {
+            var vertex = graph.getVertex(vertexId);
+
+            if(change == "addEdge" && !(vertex.state == "NOT_READY" || (vertex.state == "READY" && vertex.attempts == 0)))
+            {
+                throw new errors.VertexStartedError(vertexId, runGuid, "get another parent");
+            }
+            else if(change == "removeVertex" && (vertex.state == "IN_PROGRESS" || vertex.state == "RETRYING"))
+            {
+                throw new errors.VertexStartedError(vertexId, runGuid, "be removed");
+            }
+        }
+    };
+
+    /**
+     * Adds a vertex that has just been added to the template to this run as well; it becomes READY (or not) once the
+     * change to the graph is complete (see applyGraphChanges), so edges into it can still be added first
+     *
+     * @param {string} vertexId - ID of the vertex
+     */
+    this.addVertex = function (vertexId)
+    {
+        addRunVertex(graph, vertexId);
+        stateCounts.NOT_READY++;
+        graphChanged([vertexId]);
+    };
+
+    /**
+     * Adds an edge that has just been added to the template to this run as well (see checkGraphChange); a READY end
+     * vertex goes back to NOT_READY until its new parent allows otherwise
+     *
+     * @param {string} startVertexId - Where the edge starts
+     * @param {string} endVertexId - Where the edge ends
+     */
+    this.addEdge = function (startVertexId, endVertexId)
+    {
+        graph.addEdge(startVertexId, endVertexId, template.getEdgeData(startVertexId, endVertexId));
+
+        if(graph.getVertex(endVertexId).state == "READY")
+        {
+            graph.getVertex(endVertexId).setState("NOT_READY");
+        }
+
+        graphChanged([endVertexId]);
+    };
+
+    /**
+     * Removes a vertex that has just been removed from the template from this run as well (see checkGraphChange); its
+     * children no longer wait for it
+     *
+     * @param {string} vertexId - ID of the vertex
+     */
+    this.removeVertex = function (vertexId)
+    {
+        var childVertexIds = graph.getChildVertexIds(vertexId);
+
+        stateCounts[graph.getVertex(vertexId).state]--;
+        graph.removeVertex(vertexId);
+        delete works[vertexId];
+        delete edgeConditionResults[vertexId];
+
+        for(var i = 0; i < childVertexIds.length; i++)
+        {
+            delete (edgeConditionResults[childVertexIds[i]] || {})[vertexId];
+        }
+
+        graphChanged(childVertexIds);
+    };
+
+    /**
+     * Removes an edge that has just been removed from the template from this run as well; the end vertex no longer waits
+     * for the start vertex (if it hasn't been started yet, that is)
+     *
+     * @param {string} startVertexId - Where the edge starts
+     * @param {string} endVertexId - Where the edge ends
+     */
+    this.removeEdge = function (startVertexId, endVertexId)
+    {
+        graph.removeEdge(startVertexId, endVertexId);
+        delete (edgeConditionResults[endVertexId] || {})[startVertexId];
+        graphChanged([endVertexId]);
+    };
+
+    /**
+     * Builds this run's own graph from the template: same vertices and edges, fresh states
+     *
+     * @private
+     * @returns {Digraph}
+     */
+    function copyGraph()
+    {
+        var runGraph = new Digraph(runGuid);
+        var vertexIds = template.getVertexIds();
+        var numVertices = vertexIds.length;
+
+        for(var i = 0; i < numVertices; i++)
+        {
+            addRunVertex(runGraph, vertexIds[i]);
+        }
+
+        // The template's edges have been checked already when they were added
+        runGraph.setEdgeInfo(template.getEdgeInfo());
+
+        return runGraph;
+    }
+
+    /**
+     * Adds a vertex of the template to this run's graph, hooked up to the work associated with it
+     *
+     * @private
+     * @param {Digraph} runGraph - This run's graph
+     * @param {string} vertexId - ID of the vertex
+     */
+    function addRunVertex(runGraph, vertexId)
+    {
+        var newVertex = runGraph.addVertex(vertexId, null);
+        works[vertexId] = template.getVertex(vertexId).data;
+        newVertex.on(runGuid + ":" + "start", launch.bind(null, newVertex, works[vertexId]));
+        newVertex.on(runGuid + ":" + "stateChange", onVertexStateChange.bind(null, newVertex));
+    }
+
+    /**
+     * Notes that the parents of some vertices have changed, and makes sure they are looked at once the change to the
+     * graph is complete
+     * <br />
+     * A change usually takes several calls (say, a vertex and then the edges into it), so that waits until the code
+     * making it is done, i.e. for the next microtask
+     *
+     * @private
+     * @param {Array} vertexIds - IDs of the vertices
+     */
+    function graphChanged(vertexIds)
+    {
+        changedVertexIds = changedVertexIds.concat(vertexIds);
+
+        if(!graphChangesScheduled)
+        {
+            graphChangesScheduled = true;
+            Promise.resolve().then(applyGraphChanges);
+        }
+    }
+
+    /**
+     * Brings the run up to date with the changes to its graph: the topological sort order and the remaining path
+     * lengths are worked out again, the vertices whose parents changed are looked at, and whatever can start, starts
+     *
+     * @private
+     */
+    function applyGraphChanges()
+    {
+        var vertexIds = changedVertexIds.filter(function (vertexId) {return graph.hasVertexId(vertexId);});
+
+        changedVertexIds = [];
+        graphChangesScheduled = false;
+
+        if(isCurrentlyRunning)
+        {
+            topologicalSortOrder = vertexIdsFromArray(graph.topologicalSort());
+            remainingPathLengths = scheduler.remainingPathLengths(graph, topologicalSortOrder);
+
+            decideStates(vertexIds);
+            checkProgress(null);
+        }
+    }
+
+    /**
+     * Starts the work associated with a vertex and reports its outcome back to the vertex
+     * <br />
+     * Whatever happens first wins: the work finishing, its timeout firing or the run cancelling it; anything the work
+     * reports after that is ignored
+     *
+     * @private
+     * @param {Vertex} vertex - Vertex of this run's graph that has just become IN_PROGRESS
+     * @param {Object} work - Either {service, serviceStart, options}, {task, options}, {map, options} or {subgraph, options}, as
+     *                        registered with the PigeonKeeper
+     */
+    function launch(vertex, work)
+    {
+        var timeout = work.options.timeout !== undefined ? work.options.timeout : defaultTimeout;
+        var retryPolicy = work.options.retry !== undefined ? work.options.retry : defaultRetry;
+        var controller = typeof AbortController === "function" ? new AbortController() : null;
+        var timer = null;
+        var onSuccess;
+        var onError;
+
+        var execution = {
+            "done": false,
+
+            // Stops listening to the work and asks it to stop, without reporting anything to the vertex
+            "cancel": function (reason)
+            {
+                if(!execution.done)
+                {
+                    writeToLog("info", "Cancelling vertex", {"vertexId": vertex.id, "error": reason.message});
+                    stopListening();
+                    abortWork(reason);
+                }
+            }
+        };
+
+        function abortWork(reason)
+        {
+            if(controller)
+            {
+                controller.abort(reason);
+            }
+
+            if(work.service && typeof work.service.cancel === "function")
+            {
+                // The vertex is done as far as the run is concerned, so a misbehaving cancel method mustn't get in the way
+                try
+                {
+                    work.service.cancel(reason);
+                }
+                catch(err)
+                {
+                    writeToLog("error", "Cancel method of vertex threw", {"vertexId": vertex.id, "error": err && err.message !== undefined ? err.message : err});
+                }
+            }
+        }
+
+        function stopListening()
+        {
+            execution.done = true;
+            clearTimeout(timer);
+            delete inFlight[vertex.id];
+
+            if(work.service)
+            {
+                work.service.removeListener("success", onSuccess);
+                work.service.removeListener("error", onError);
+
+                // Whatever the service reports from now on is ignored - errors included
+                if(work.service.listeners("error").indexOf(ignoreLateError) == -1)
+                {
+                    work.service.on("error", ignoreLateError);
+                }
+            }
+        }
+
+        function complete(err, data)
+        {
+            if(!execution.done)
+            {
+                stopListening();
+                settle(err, data);
+            }
+        }
+
+        function settle(err, data)
+        {
+            if(err && mayRetry(vertex, retryPolicy, err))
+            {
+                scheduleRetry(vertex, retryPolicy, err);
+            }
+            else if(err)
+            {
+                writeToLog("error", "Vertex failed", {"vertexId": vertex.id, "state": "FAIL", "attempt": vertex.attempts, "durationMs": Date.now() - vertex.startTime,
+                    "error": err.message !== undefined ? err.message : err});
+                vertex.error = err;
+                vertex.setState("FAIL");
+                emit("vertexFail", {"runId": runGuid, "vertexId": vertex.id, "error": err, "attempts": vertex.attempts});
+                carryOnAfter(vertex.id, "FAIL");
+            }
+            else
+            {
+                if(dataFlow)
+                {
+                    results[vertex.id] = data;
+                }
+
+                writeToLog("info", "Vertex succeeded", {"vertexId": vertex.id, "state": "SUCCESS", "attempt": vertex.attempts, "durationMs": Date.now() - vertex.startTime});
+                vertex.data = data;
+                vertex.error = null;
+                vertex.setState("SUCCESS");
+                emit("vertexSuccess", {"runId": runGuid, "vertexId": vertex.id, "data": data, "attempts": vertex.attempts});
+                carryOnAfter(vertex.id, "SUCCESS");
+            }
+        }
+
+        vertex.attempts++;
+        writeToLog("info", "Vertex started", {"vertexId": vertex.id, "state": "IN_PROGRESS", "attempt": vertex.attempts});
+        inFlight[vertex.id] = execution;
+        emit("vertexStart", {"runId": runGuid, "vertexId": vertex.id, "attempt": vertex.attempts});
+
+        if(timeout > 0)
+        {
+            timer = setTimeout(function ()
+            {
+                var timeoutError = new errors.TaskTimeoutError(vertex.id, timeout);
+
+                writeToLog("error", timeoutError.message, {"vertexId": vertex.id, "attempt": vertex.attempts, "durationMs": timeout});
+                stopListening();
+                abortWork(timeoutError);
+                settle(timeoutError);
+            }, timeout);
+        }
+
+        if(work.task || work.map || work.subgraph)
+        {
+            var context = {"vertexId": vertex.id, "inputs": inputsOf(vertex.id), "signal": controller ? controller.signal : null};
+
+            if(dataFlow)
+            {
+                context.config = config;
+            }
+            else
+            {
+                context.sharedData = results;
+            }
+
+            if(work.task)
+            {
+                runTask(work.task, context, complete);
+            }
+            else if(work.map)
+            {
+                mapItems[vertex.id] = runMap(work.map, context, complete);
+            }
+            else
+            {
+                subgraphRuns[vertex.id] = subgraphs.runSubgraph(work.subgraph, context, complete);
+            }
+        }
+        else
+        {
+            // An event emitter can't tell us which run its events belong to, so only listen for as long as this run needs to
+            onSuccess = function (data) {complete(null, data);};
+            onError = function (err) {complete(err || new Error("Service emitted an error without a reason"));};
+
+            work.service.once("success", onSuccess);
+            work.service.once("error", onError);
+
+            try
+            {
+                return dataFlow ? work.serviceStart(config, inputsOf(vertex.id)) : work.serviceStart(results);
+            }
+            catch(err)
+            {
+                // Report it on the next tick, as a task that throws is (see task.js)
+                process.nextTick(function () {complete(err || new Error("serviceStart threw without a reason"));});
+            }
+        }
+    }
+
+    /**
+     * Collects what a vertex gets to work with from its parents: the output of each parent that SUCCEEDed, through an
+     * edge that was taken (see decideState)
+     *
+     * @private
+     * @param {string} vertexId - ID of the vertex
+     * @returns {Object} Outputs, by parent vertex ID
+     */
+    function inputsOf(vertexId)
+    {
+        var inputs = {};
+        var parents = graph.getParentVertexIds(vertexId);
+
+        for(var i = 0; i < parents.length; i++)
+        {
+            var parentVertex = graph.getVertex(parents[i]);
+
+            if(parentVertex.state == "SUCCESS" && edgeConditionHolds(parents[i], vertexId) === true)
+            {
+                inputs[parents[i]] = parentVertex.data;
+            }
+        }
+
+        return inputs;
+    }
+
+    /**
+     * Makes the vertices that SUCCEEDed in the run being resumed SUCCESS again, with the outputs they had, and lets their
+     * children move on accordingly
+     *
+     * @private
+     * @param {Object} resumeFrom - {runId, outputs}; outputs by vertex ID
+     */
+    function restoreOutputs(resumeFrom)
+    {
+        var restoredVertexIds = [];
+
+        for(var vertexId in resumeFrom.outputs)
+        {
+            if(graph.hasVertexId(vertexId))
+            {
+                var restoredVertex = graph.getVertex(vertexId);
+
+                restoredVertex.data = resumeFrom.outputs[vertexId];
+                restoredVertex.setState("SUCCESS");
+                restoredVertexIds.push(vertexId);
+
+                if(dataFlow)
+                {
+                    results[vertexId] = restoredVertex.data;
+                }
+            }
+            else
+            {
+                writeToLog("warn", "Vertex of the resumed run is no longer in the graph, so its output is left out", {"vertexId": vertexId});
+            }
+        }
+
+        writeToLog("info", "Resuming run " + resumeFrom.runId + " with " + restoredVertexIds.length + " vertices already SUCCEEDed");
+        updateStates(restoredVertexIds);
+    }
+
+    /**
+     * Ends the run if it is over, otherwise starts whatever can be started
+     *
+     * @private
+     * @param {string} failedVertexId - ID of the vertex that has just FAILed, if that's why we're checking
+     */
+    function checkProgress(failedVertexId)
+    {
+        var numFinalStates = 0;
+
+        for(var i = 0; i < FINAL_STATES.length; i++)
+        {
+            numFinalStates += stateCounts[FINAL_STATES[i]];
+        }
+
+        var someStateFailed = stateCounts.FAIL > 0;
+        var allStatesFinal = numFinalStates == graph.vertexCount();
+
+        if(failedVertexId && quitOnFailure)
+        {
+            var stopReason = "Vertex " + failedVertexId + " failed, so the run was stopped";
+
+            // The same as an abort, as far as the vertices still in the running are concerned
+            writeToLog("error", "Run failed", {"vertexId": failedVertexId, "durationMs": Date.now() - runStartTime});
+            isCurrentlyRunning = false;
+            stopUnfinishedVertices("CANCELLED", new errors.CancelledError(runGuid, stopReason));
+            finish(stopReason);
+        }
+        else if(allStatesFinal && !someStateFailed)
+        {
+            writeToLog("info", "Run succeeded", {"durationMs": Date.now() - runStartTime});
+            finish(null);
+        }
+        else if(someStateFailed && (quitOnFailure || allStatesFinal))
+        {
+            writeToLog("error", "Run failed", {"durationMs": Date.now() - runStartTime});
+            finish("Vertices failed: " + self.overallState().FAIL.join(", "));
+        }
+        else
+        {
+            // Stay calm and carry on: whatever became READY can start now
+            startReadyProcesses();
+        }
+    }
+
+    /**
+     * Takes (direction 1) or gives back (direction -1) the resource pool units a vertex needs (see PigeonKeeper's vertexOptions)
+     *
+     * @private
+     * @param {string} vertexId - ID of the vertex
+     * @param {number} direction - 1 or -1
+     */
+    function changeResourcesInUse(vertexId, direction)
+    {
+        var resources = works[vertexId].options.resources;
+
+        for(var poolName in resources)
+        {
+            resourcesInUse[poolName] += direction * resources[poolName];
+        }
+    }
+
+    /**
+     * Are there enough units left in every resource pool the vertex needs?
+     *
+     * @private
+     * @param {string} vertexId - ID of the vertex
+     * @returns {boolean}
+     */
+    function resourcesAvailable(vertexId)
+    {
+        var resources = works[vertexId].options.resources;
+
+        for(var poolName in resources)
+        {
+            if(resourcesInUse[poolName] + resources[poolName] > resourcePools[poolName])
+            {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Gives back the slot (and resource pool units) held by a vertex whose work has stopped
+     *
+     * @private
+     * @param {string} vertexId - ID of the vertex
+     */
+    function freeSlot(vertexId)
+    {
+        numberOfRunningProcesses--;
+        changeResourcesInUse(vertexId, -1);
+        emit("concurrencySlotFreed", {"runId": runGuid, "vertexId": vertexId, "numberOfRunningProcesses": numberOfRunningProcesses, "maxNumberOfRunningProcesses": maxNumberOfRunningProcesses});
+    }
+
+    /**
+     * Keeps track of a vertex's state change (see stateCounts and readyQueue) and passes it on as a vertexStateChange event
+     *
+     * @private
+     * @param {Vertex} vertex - The vertex whose state changed
+     * @param {VALID_STATES} from - Its previous state
+     * @param {VALID_STATES} to - Its new state
+     */
+    function onVertexStateChange(vertex, from, to)
+    {
+        stateCounts[from]--;
+        stateCounts[to]++;
+
+        if(to == "READY")
+        {
+            readyQueue.push(vertex.id, works[vertex.id].options.priority || 0, remainingPathLengths[vertex.id]);
+        }
+
+        writeToLog("debug", "Vertex state changed", {"vertexId": vertex.id, "from": from, "state": to});
+        emit("vertexStateChange", {"runId": runGuid, "vertexId": vertex.id, "from": from, "to": to});
+
+        if(journal)
+        {
+            var entry = {"type": "stateChange", "vertexId": vertex.id, "from": from, "to": to};
+
+            if(to == "SUCCESS")
+            {
+                entry.data = vertex.data;
+            }
+            else if(to == "RETRYING" || to == "FAIL" || to == "CANCELLED")
+            {
+                entry.error = describeError(vertex.error);
+            }
+
+            record(entry);
+        }
+    }
+
+    /**
+     * Carries the run on after a vertex has become SUCCESS or FAIL: frees its slot, decides on its children, and ends the
+     * run or starts whatever can start
+     *
+     * @private
+     * @param {string} vertexId - ID of the vertex
+     * @param {VALID_STATES} newState - SUCCESS or FAIL
+     */
+    function carryOnAfter(vertexId, newState)
+    {
+        freeSlot(vertexId);
+
+        // Once the run is over, nothing moves on any more
+        if(isCurrentlyRunning)
+        {
+            updateStates([vertexId]);
+            checkProgress(newState == "FAIL" ? vertexId : null);
+        }
+    }
+
+    /**
+     * Publishes one of the run's lifecycle events (see PigeonKeeper); a listener that throws is logged, so that an
+     * observer can't get in the way of the run itself
+     *
+     * @private
+     * @param {string} eventName - Name of the event
+     * @param {Object} payload - What listeners get
+     */
+    function emit(eventName, payload)
+    {
+        try
+        {
+            settings.emit(eventName, payload);
+        }
+        catch(err)
+        {
+            writeToLog("error", "Listener of " + eventName + " threw", {"vertexId": payload.vertexId, "error": err && err.message !== undefined ? err.message : err});
+        }
+    }
+
+    /**
+     * Logs a message about this run (see PigeonKeeper's writeToLog), adding its runId to the fields
+     *
+     * @private
+     * @param {string} level - "debug", "info", "warn" or "error"
+     * @param {string} msg - The message
+     * @param {Object} fields - Optional structured fields
+     */
+    function writeToLog(level, msg, fields)
+    {
+        var logFields = {"runId": runGuid};
+
+        for(var name in fields)
+        {
+            logFields[name] = fields[name];
+        }
+
+        settings.writeToLog(level, msg, logFields);
+    }
+
+    /**
+     * Appends an entry to the journal, if the run has one; a journal that can't keep up is logged, but doesn't stop the run
+     *
+     * @private
+     * @param {Object} entry - The entry, without runId and time (see journal.js)
+     */
+    function record(entry)
+    {
+        if(journal)
+        {
+            entry.runId = runGuid;
+            entry.time = Date.now();
+
+            try
+            {
+                var appended = journal.append(entry);
+
+                if(appended && typeof appended.then === "function")
+                {
+                    appended.then(null, onJournalError);
+                }
+            }
+            catch(err)
+            {
+                onJournalError(err);
+            }
+        }
+    }
+
+    /**
+     * Logs that the journal failed to store an entry
+     *
+     * @private
+     * @param {*} err - What it failed with
+     */
+    function onJournalError(err)
+    {
+        writeToLog("error", "Journal failed to store an entry", {"error": err && err.message !== undefined ? err.message : err});
+    }
+
+    /**
+     * Does the vertex's retry policy allow another attempt after it failed with err?
+     *
+     * @private
+     * @param {Vertex} vertex - Vertex whose work just failed
+     * @param {Object} retryPolicy - The vertex's retry option (see PigeonKeeper's vertexOptions), or else the default retry policy, if any
+     * @param {*} err - What the work failed with
+     * @returns {boolean}
+     */
+    function mayRetry(vertex, retryPolicy, err)
+    {
+        return isCurrentlyRunning && !!retryPolicy && vertex.attempts < retryPolicy.maxAttempts &&
+            (!retryPolicy.retryOn || retryPolicy.retryOn(err, vertex.attempts));
+    }
+
+    /**
+     * Puts a failed vertex into the RETRYING state, which frees its slot, and makes it READY again once the backoff delay has passed
+     *
+     * @private
+     * @param {Vertex} vertex - Vertex whose work just failed
+     * @param {Object} retryPolicy - The vertex's retry option
+     * @param {*} err - What the work failed with
+     */
+    function scheduleRetry(vertex, retryPolicy, err)
+    {
+        var delay = retryDelay(retryPolicy, vertex.attempts);
+
+        writeToLog("warn", "Vertex attempt failed, retrying in " + delay + " ms", {"vertexId": vertex.id, "state": "RETRYING", "attempt": vertex.attempts,
+            "durationMs": Date.now() - vertex.startTime, "error": err && err.message !== undefined ? err.message : err});
+
+        vertex.error = err;
+        vertex.setState("RETRYING");
+        freeSlot(vertex.id);
+
+        retryTimers[vertex.id] = setTimeout(function ()
+        {
+            delete retryTimers[vertex.id];
+            vertex.setState("READY");
+            startReadyProcesses();
+        }, delay);
+
+        startReadyProcesses();
+    }
+
+    /**
+     * Fails every vertex that hasn't finished yet because the run's deadline has passed, and ends the run
+     *
+     * @private
+     */
+    function onRunTimeout()
+    {
+        var timeoutError = new errors.RunTimeoutError(runGuid, runTimeout);
+
+        writeToLog("error", timeoutError.message, {"durationMs": runTimeout});
+        stopUnfinishedVertices("FAIL", timeoutError);
+        finish(timeoutError);
+    }
+
+    /**
+     * Moves every vertex that hasn't finished yet into newState, cancelling its work if it is in progress
+     *
+     * @private
+     * @param {VALID_STATES} newState - FAIL or CANCELLED
+     * @param {Error} reason - Becomes the error of those vertices, and is passed on to their work
+     * @returns {Array} IDs of the vertices that were stopped
+     */
+    function stopUnfinishedVertices(newState, reason)
+    {
+        var numVertices = graph.vertexCount();
+        var vertexIds = graph.getVertexIds();
+        var unfinishedVertexIds = [];
+
+        for(var i = 0; i < numVertices; i++)
+        {
+            var currentVertex = graph.getVertex(vertexIds[i]);
+
+            if(FINAL_STATES.indexOf(currentVertex.state) == -1)
+            {
+                if(inFlight[currentVertex.id])
+                {
+                    inFlight[currentVertex.id].cancel(reason);
+                    freeSlot(currentVertex.id);
+                }
+
+                clearTimeout(retryTimers[currentVertex.id]);
+
+                currentVertex.error = reason;
+                currentVertex.setState(newState);
+                unfinishedVertexIds.push(currentVertex.id);
+            }
+        }
+
+        return unfinishedVertexIds;
+    }
+
+    /**
+     * Describes what happened to a vertex in this run
+     *
+     * @private
+     * @param {Vertex} vertex - A vertex of this run's graph
+     * @returns {{state, data, error, attempts, readyTime, startTime, endTime, durationMs, queueWaitMs, executionMs}} Plus the
+     *          details of its items, for a map vertex (see map.js), or of the vertices of its (latest) inner run, namespaced
+     *          by its ID, for a subgraph vertex (see subgraph.js)
+     */
+    function vertexDetails(vertex)
+    {
+        var details = {
+            "state": vertex.state,
+            "data": vertex.data,
+            "error": vertex.error,
+            "attempts": vertex.attempts,
+            "readyTime": vertex.readyTime,
+            "startTime": vertex.startTime,
+            "endTime": vertex.endTime,
+            "durationMs": vertex.startTime !== null && vertex.endTime !== null ? vertex.endTime - vertex.startTime : null,
+            "queueWaitMs": vertex.queueWaitMs,
+            "executionMs": vertex.executionMs
+        };
+
+        if(works[vertex.id].map)
+        {
+            details.items = (mapItems[vertex.id] || []).map(function (item)
+            {
+                return {"state": item.state, "data": item.data, "error": item.error, "startTime": item.startTime, "endTime": item.endTime, "durationMs": item.durationMs};
+            });
+        }
+        else if(works[vertex.id].subgraph)
+        {
+            var innerRun = subgraphRuns[vertex.id] && subgraphRuns[vertex.id].run;
+
+            details.vertices = innerRun ? subgraphs.namespacedVertices(vertex.id, innerRun.getReport().vertices) : {};
+        }
+
+        return details;
+    }
+
+    /**
+     * Adds up the timings of the vertices of a run
+     * <br />
+     * averageConcurrency is how many vertices were IN_PROGRESS at once, on average; the vertices that waited and ran
+     * longest are where to look for bottlenecks
+     *
+     * @private
+     * @param {Object} vertices - Details of every vertex (see vertexDetails), by vertex ID
+     * @param {number} durationMs - How long the run has taken (so far); null if it hasn't started
+     * @returns {{queueWaitMs, executionMs, averageConcurrency, longestQueueWaitVertexId, longestExecutionVertexId}}
+     */
+    function runTimings(vertices, durationMs)
+    {
+        var timings = {
+            "queueWaitMs": 0,
+            "executionMs": 0,
+            "averageConcurrency": null,
+            "longestQueueWaitVertexId": null,
+            "longestExecutionVertexId": null
+        };
+
+        for(var vertexId in vertices)
+        {
+            timings.queueWaitMs += vertices[vertexId].queueWaitMs;
+            timings.executionMs += vertices[vertexId].executionMs;
+
+            if(vertices[vertexId].queueWaitMs > 0 &&
+                (timings.longestQueueWaitVertexId === null || vertices[vertexId].queueWaitMs > vertices[timings.longestQueueWaitVertexId].queueWaitMs))
+            {
+                timings.longestQueueWaitVertexId = vertexId;
+            }
+
+            if(vertices[vertexId].executionMs > 0 &&
+                (timings.longestExecutionVertexId === null || vertices[vertexId].executionMs > vertices[timings.longestExecutionVertexId].executionMs))
+            {
+                timings.longestExecutionVertexId = vertexId;
+            }
+        }
+
+        if(durationMs > 0)
+        {
+            timings.averageConcurrency = timings.executionMs / durationMs;
+        }
+
+        return timings;
+    }
+
+    /**
+     * Collects a VertexFailedError for every vertex that FAILed because of its own work (not because of a parent)
+     *
+     * @private
+     * @returns {Array}
+     */
+    function vertexFailures()
+    {
+        var failures = [];
+        var numVertices = graph.vertexCount();
+        var vertexIds = graph.getVertexIds();
+
+        for(var i = 0; i < numVertices; i++)
+        {
+            var currentVertex = graph.getVertex(vertexIds[i]);
+
+            if(currentVertex.state == "FAIL" && !(currentVertex.error instanceof errors.DependencyFailedError))
+            {
+                failures.push(new errors.VertexFailedError(currentVertex.id, currentVertex.error, currentVertex.attempts));
+            }
+        }
+
+        return failures;
+    }
+
+    /**
+     * Builds the report that the Promise returned by start() settles with
+     *
+     * @private
+     * @returns {Object}
+     */
+    function buildReport()
+    {
+        var report = {
+            "globallyUniqueId": pkGuid,
+            "runId": runGuid,
+            "success": true,
+            "startTime": runStartTime,
+            "endTime": runEndTime || Date.now(),
+            "durationMs": null,
+            "vertices": {},
+            "timings": null,
+            "results": results
+        };
+
+        report.durationMs = report.startTime !== null ? report.endTime - report.startTime : null;
+
+        var numVertices = graph.vertexCount();
+        var vertexIds = graph.getVertexIds();
+
+        for(var i = 0; i < numVertices; i++)
+        {
+            var currentVertex = graph.getVertex(vertexIds[i]);
+
+            report.vertices[currentVertex.id] = vertexDetails(currentVertex);
+            report.success = report.success && (currentVertex.state == "SUCCESS" || currentVertex.state == "SKIPPED");
+        }
+
+        report.timings = runTimings(report.vertices, report.durationMs);
+
+        return report;
+    }
+
+    /**
+     * Ends the run: settles the Promise returned by start() and calls finalCallback, both only once
+     *
+     * @private
+     * @param {*} reason - null when all went well; a message when vertices failed, which makes the run end with a RunFailedError;
+     *                     or an Error that stopped the run, which the run ends with as is (with the report attached)
+     */
+    function finish(reason)
+    {
+        isCurrentlyRunning = false;
+        clearTimeout(runTimer);
+
+        for(var vertexId in retryTimers)
+        {
+            clearTimeout(retryTimers[vertexId]);
+        }
+
+        if(!finalCallbackExecuted)
+        {
+            finalCallbackExecuted = true;
+            runEndTime = Date.now();
+
+            var report = buildReport();
+
+            var runError = null;
+
+            if(reason instanceof Error)
+            {
+                runError = reason;
+                runError.report = report;
+            }
+            else if(reason)
+            {
+                runError = new errors.RunFailedError(reason, report, vertexFailures());
+            }
+
+            if(runError)
+            {
+                rejectRun(runError);
+            }
+            else
+            {
+                resolveRun(report);
+            }
+
+            emit("runComplete", {"runId": runGuid, "success": !runError, "error": runError, "report": report});
+            record({"type": "runComplete", "success": !runError, "error": describeError(runError)});
+            finalCallback(runError, results);
+        }
+    }
+
+    /**
+     * Sets states of all vertices to be NOT_READY
+     *
+     * @private
+     */
+    function initializeStates()
+    {
+        // Set all states to NOT_READY
+        var numVertices = graph.vertexCount();
+        var vertexIds = graph.getVertexIds();
+
+        for(var i = 0; i < VALID_STATES.length; i++)
+        {
+            stateCounts[VALID_STATES[i]] = 0;
+        }
+
+        stateCounts.NOT_READY = numVertices;
+        readyQueue = new scheduler.ReadyQueue(schedulingStrategy);
+        remainingPathLengths = scheduler.remainingPathLengths(graph, topologicalSortOrder);
+
+        for(var i = 0; i < numVertices; i++)
+        {
+            graph.getVertex(vertexIds[i]).setState("NOT_READY");
+        }
+    }
+
+    /**
+     * Updates the states in the run that depend on the given vertices having finished; follows rules specified in the MS Word/PDF docs
+     * <br />
+     * Only the children of those vertices are looked at, and then only the children of those that become final in turn
+     * (SKIPPED or FAIL), so each state change costs about as much as the number of vertices it actually affects
+     *
+     * @private
+     * @param {Array} finishedVertexIds - IDs of vertices that have just become final; null to look at the vertices without parents instead
+     */
+    function updateStates(finishedVertexIds)
+    {
+        if(finishedVertexIds === null)
+        {
+            decideStates(vertexIdsFromArray(graph.getVerticesWithIndegree0()));
+        }
+        else
+        {
+            var childVertexIds = [];
+
+            for(var i = 0; i < finishedVertexIds.length; i++)
+            {
+                childVertexIds = childVertexIds.concat(graph.getChildVertexIds(finishedVertexIds[i]));
+            }
+
+            decideStates(childVertexIds);
+        }
+    }
+
+    /**
+     * Applies the trigger rules (see decideState) to the given vertices, if they are NOT_READY, and in turn to the
+     * children of those that become final (SKIPPED or FAIL)
+     *
+     * @private
+     * @param {Array} pendingVertexIds - IDs of vertices whose parents have changed, so they may have to move on
+     */
+    function decideStates(pendingVertexIds)
+    {
+        for(var head = 0; head < pendingVertexIds.length; head++)
+        {
+            var currentVertex = graph.getVertex(pendingVertexIds[head]);
+
+            if(currentVertex.state == "NOT_READY")
+            {
+                var decision = decideState(currentVertex.id);
+
+                if(decision.state != "NOT_READY")
+                {
+                    if(decision.error)
+                    {
+                        currentVertex.error = decision.error;
+                    }
+
+                    currentVertex.setState(decision.state);
+
+                    if(decision.state != "READY")
+                    {
+                        // A vertex that won't run counts as finished for its own children
+                        pendingVertexIds = pendingVertexIds.concat(graph.getChildVertexIds(currentVertex.id));
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Applies the vertex's trigger rule (see PigeonKeeper's vertexOptions) to the states of its parents, to decide what
+     * should become of a NOT_READY vertex
+     * <br />
+     * A parent counts as "taken" when it is SUCCESS and the condition on the edge from it (if any) holds; a parent that is
+     * SKIPPED or CANCELLED, or whose edge condition doesn't hold, counts as "not taken"
+     *
+     * @private
+     * @param {string} vertexId - ID of a NOT_READY vertex
+     * @returns {{state, error}}
+     */
+    function decideState(vertexId)
+    {
+        var trigger = works[vertexId].options.trigger || "allSuccess";
+        var parents = graph.getParentVertexIds(vertexId);
+        var numParents = parents.length;
+        var takenParents = 0;
+        var untakenParents = 0;
+        var falseConditions = 0;
+        var unfinishedParents = 0;
+        var failedParents = [];
+
+        for(var i = 0; i < numParents; i++)
+        {
+            var parentState = graph.getVertex(parents[i]).state;
+
+            if(parentState == "SUCCESS")
+            {
+                var conditionResult = edgeConditionHolds(parents[i], vertexId);
+
+                if(conditionResult instanceof Error)
+                {
+                    return {"state": "FAIL", "error": conditionResult};
+                }
+                else if(conditionResult)
+                {
+                    takenParents++;
+                }
+                else
+                {
+                    untakenParents++;
+                    falseConditions++;
+                }
+            }
+            else if(parentState == "FAIL")
+            {
+                failedParents.push(parents[i]);
+            }
+            else if(parentState == "SKIPPED" || parentState == "CANCELLED")
+            {
+                untakenParents++;
+            }
+            else
+            {
+                unfinishedParents++;
+            }
+        }
+
+        var dependencyFailed = failedParents.length > 0 ? new errors.DependencyFailedError(vertexId, failedParents) : null;
+
+        if(trigger == "allDone")
+        {
+            if(unfinishedParents > 0)
+            {
+                return {"state": "NOT_READY"};
+            }
+            else
+            {
+                return {"state": falseConditions > 0 ? "SKIPPED" : "READY"};
+            }
+        }
+        else if(trigger == "anySuccess")
+        {
+            if(takenParents > 0 || numParents == 0)
+            {
+                return {"state": "READY"};
+            }
+            else if(unfinishedParents > 0)
+            {
+                return {"state": "NOT_READY"};
+            }
+            else
+            {
+                return dependencyFailed ? {"state": "FAIL", "error": dependencyFailed} : {"state": "SKIPPED"};
+            }
+        }
+        else
+        {
+            if(dependencyFailed)
+            {
+                return {"state": "FAIL", "error": dependencyFailed};
+            }
+            else if(unfinishedParents > 0)
+            {
+                return {"state": "NOT_READY"};
+            }
+            else
+            {
+                return {"state": untakenParents > 0 ? "SKIPPED" : "READY"};
+            }
+        }
+    }
+
+    /**
+     * Evaluates the condition on an edge whose start vertex is SUCCESS - only once per run, so conditions see the
+     * sharedData as it was when the edge was first looked at
+     *
+     * @private
+     * @param {string} startVertexId - Where the edge starts
+     * @param {string} endVertexId - Where the edge ends
+     * @returns {*} true or false, or the Error the condition threw
+     */
+    function edgeConditionHolds(startVertexId, endVertexId)
+    {
+        var edgeData = graph.getEdgeData(startVertexId, endVertexId);
+
+        if(!edgeData || !edgeData.condition)
+        {
+            return true;
+        }
+
+        edgeConditionResults[endVertexId] = edgeConditionResults[endVertexId] || {};
+
+        if(!edgeConditionResults[endVertexId].hasOwnProperty(startVertexId))
+        {
+            try
+            {
+                edgeConditionResults[endVertexId][startVertexId] = !!edgeData.condition(results, graph.getVertex(startVertexId).data);
+            }
+            catch(err)
+            {
+                edgeConditionResults[endVertexId][startVertexId] = err instanceof Error ? err : new Error("Condition on edge (" + startVertexId + ", " + endVertexId + ") threw " + err);
+            }
+        }
+
+        return edgeConditionResults[endVertexId][startVertexId];
+    }
+
+    /**
+     * Starts all processes where associated vertices are READY, as far as the concurrency limit and the resource pools
+     * allow, in the order of the scheduling strategy (see scheduler.js); a vertex waiting for a pool doesn't hold up
+     * those behind it that need other pools
+     *
+     * @private
+     */
+    function startReadyProcesses()
+    {
+        // Start as many processes as we can!
+        while(isCurrentlyRunning && readyQueue.size() > 0 && (maxNumberOfRunningProcesses <= 0 || numberOfRunningProcesses < maxNumberOfRunningProcesses))
+        {
+            // Vertices may have moved on since they were queued (e.g. when states are set by hand or vertices removed); those just get dropped
+            var vertexId = readyQueue.takeFirst(function (queuedVertexId)
+            {
+                return !isQueuedVertexReady(queuedVertexId) || resourcesAvailable(queuedVertexId);
+            });
+
+            if(vertexId === undefined)
+            {
+                break;
+            }
+            else if(isQueuedVertexReady(vertexId))
+            {
+                numberOfRunningProcesses++;
+                changeResourcesInUse(vertexId, 1);
+                graph.getVertex(vertexId).setState("IN_PROGRESS");
+            }
+        }
+    }
+
+    /**
+     * Is a vertex that was queued when it became READY still READY? It may have moved on since, or even been removed
+     *
+     * @private
+     * @param {string} vertexId - ID of the vertex
+     * @returns {boolean}
+     */
+    function isQueuedVertexReady(vertexId)
+    {
+        return graph.hasVertexId(vertexId) && graph.getVertex(vertexId).state == "READY";
+    }
+
+    /**
+     * Extracts the vertexIDs from a given array of vertices
+     *
+     * @private
+     * @param {Array} arr - Array of vertices
+     * @returns {Array}
+     */
+    function vertexIdsFromArray(arr)
+    {
+        var numVertices = arr.length;
+        var vertexIds = [];
+
+        for(var i = 0; i < numVertices; i++)
+        {
+            vertexIds.push(arr[i].id);
+        }
+
+        return vertexIds;
+    }
+}
+
+if(typeof module !== "undefined")
+{
+    module.exports = Run;
+}
@@ -0,0 +1,256 @@
+/**
+ * Decides which READY vertex a run starts next, when it can't start them all at once (see maxNumberOfRunningProcesses)
+ *
+ * A scheduling strategy compares two READY vertices, each described as {vertexId, priority, remainingPathLength, readyOrder}:
+ * <ul>
+ * <li>priority - the vertex's priority option (higher goes first), 0 if it has none</li>
+ * <li>remainingPathLength - how many vertices the longest path from this vertex to the end of the graph has, itself included</li>
+ * <li>readyOrder - increases with every vertex that becomes READY, so lower means READY earlier</li>
+ * </ul>
+ * The built-in strategies are:
+ * <ul>
+ * <li>"fifo" (the default) - in the order the vertices became READY</li>
+ * <li>"priority" - highest priority first</li>
+ * <li>"criticalPath" - longest remaining path first, then highest priority; keeps the critical path moving, which
+ *     shortens capped runs</li>
+ * </ul>
+ * A strategy can also be a comparator function (a, b) that returns a negative number when a should start before b.
+ * Ties always go to whichever became READY first.
+ */
+
+var STRATEGIES = {
+    "fifo": function (a, b)
+    {
+        return 0;
+    },
+    "priority": function (a, b)
+    {
+        return b.priority - a.priority;
+    },
+    "criticalPath": function (a, b)
+    {
+        return (b.remainingPathLength - a.remainingPathLength) || (b.priority - a.priority);
+    }
+};
+
+
+/**
+ * Is the strategy one of the built-in names, or a comparator function?
+ *
+ * @param {*} strategy - The strategy to check
+ * @returns {boolean}
+ */
+function isValidStrategy(strategy)
+{
+    return typeof strategy === "function" || STRATEGIES.hasOwnProperty(strategy);
+}
+
+/**
+ * Works out, for every vertex, how many vertices the longest path from it to the end of the graph has
+ *
+ * @param {Digraph} graph - The digraph
+ * @param {Array} topologicalSortOrder - IDs of all its vertices, in topological order
+ * @returns {Object} By vertex ID
+ */
+function remainingPathLengths(graph, topologicalSortOrder)
+{
+    var lengths = {};
+
+    // Going backwards, every child has been dealt with by the time we get to its parents
+    for(var i = topologicalSortOrder.length - 1; i >= 0; i--)
+    {
+        var childVertexIds = graph.getChildVertexIds(topologicalSortOrder[i]);
+        var longestChildPath = 0;
+
+        for(var j = 0; j < childVertexIds.length; j++)
+        {
+            longestChildPath = Math.max(longestChildPath, lengths[childVertexIds[j]]);
+        }
+
+        lengths[topologicalSortOrder[i]] = longestChildPath + 1;
+    }
+
+    return lengths;
+}
+
+/**
+ * A queue of READY vertices that hands them out in the order of a scheduling strategy (a binary heap)
+ *
+ * @constructor
+ * @param {*} strategy - A built-in strategy's name or a comparator function
+ */
+function ReadyQueue(strategy)
+{
+    var compare = typeof strategy === "function" ? strategy : STRATEGIES[strategy || "fifo"];
+    var heap = [];
+    var readyCount = 0;
+
+    /**
+     * Adds a vertex that has just become READY
+     *
+     * @param {string} vertexId - ID of the vertex
+     * @param {number} priority - Its priority option
+     * @param {number} remainingPathLength - See remainingPathLengths
+     */
+    this.push = function (vertexId, priority, remainingPathLength)
+    {
+        insert({"vertexId": vertexId, "priority": priority, "remainingPathLength": remainingPathLength, "readyOrder": readyCount++});
+    };
+
+    /**
+     * Takes out the vertex that should start next
+     *
+     * @returns {string} Its ID; undefined if the queue is empty
+     */
+    this.pop = function ()
+    {
+        var entry = removeFirst();
+        return entry ? entry.vertexId : undefined;
+    };
+
+    /**
+     * Takes out the first vertex (in the strategy's order) that may be taken out; those that may not stay queued, where they were
+     * <br />
+     * So a vertex that has to wait (say, for a resource pool) doesn't hold up the vertices behind it
+     *
+     * @param {Function} mayTake - Called with a vertex ID; returns whether that vertex may be taken out
+     * @returns {string} Its ID; undefined if no queued vertex may be taken out
+     */
+    this.takeFirst = function (mayTake)
+    {
+        var passedOver = [];
+        var entry;
+
+        while((entry = removeFirst()) !== undefined && !mayTake(entry.vertexId))
+        {
+            passedOver.push(entry);
+        }
+
+        for(var i = 0; i < passedOver.length; i++)
+        {
+            insert(passedOver[i]);
+        }
+
+        return entry ? entry.vertexId : undefined;
+    };
+
+    /**
+     * How many vertices are queued?
+     *
+     * @returns {number}
+     */
+    this.size = function ()
+    {
+        return heap.length;
+    };
+
+    /**
+     * Adds an entry to the heap
+     *
+     * @private
+     * @param {Object} entry - Queue entry
+     */
+    function insert(entry)
+    {
+        heap.push(entry);
+
+        // Sift up
+        var i = heap.length - 1;
+
+        while(i > 0 && goesBefore(heap[i], heap[(i - 1) >> 1]))
+        {
+            swap(i, (i - 1) >> 1);
+            i = (i - 1) >> 1;
+        }
+    }
+
+    /**
+     * Removes the first entry from the heap
+     *
+     * @private
+     * @returns {Object} The entry; undefined if the heap is empty
+     */
+    function removeFirst()
+    {
+        if(heap.length == 0)
+        {
+            return undefined;
+        }
+
+        var first = heap[0];
+        var last = heap.pop();
+
+        if(heap.length > 0)
+        {
+            heap[0] = last;
+
+            // Sift down
+            var i = 0;
+
+            while(true)
+            {
+                var best = i;
+                var left = 2 * i + 1;
+                var right = left + 1;
+
+                if(left < heap.length && goesBefore(heap[left], heap[best]))
+                {
+                    best = left;
+                }
+
+                if(right < heap.length && goesBefore(heap[right], heap[best]))
+                {
+                    best = right;
+                }
+
+                if(best == i)
+                {
+                    break;
+                }
+
+                swap(i, best);
+                i = best;
+            }
+        }
+
+        return first;
+    }
+
+    /**
+     * Should entry a start before entry b? Asks the strategy, and falls back on which became READY first
+     *
+     * @private
+     * @param {Object} a - Queue entry
+     * @param {Object} b - Queue entry
+     * @returns {boolean}
+     */
+    function goesBefore(a, b)
+    {
+        var comparison = compare(a, b);
+
+        return comparison < 0 || (!(comparison > 0) && a.readyOrder < b.readyOrder);
+    }
+
+    /**
+     * Swaps two heap entries
+     *
+     * @private
+     * @param {number} i
+     * @param {number} j
+     */
+    function swap(i, j)
+    {
+        var temp = heap[i];
+        heap[i] = heap[j];
+        heap[j] = temp;
+    }
+}
+
+if(typeof module !== "undefined")
+{
+    module.exports = {
+        ReadyQueue: ReadyQueue,
+        isValidStrategy: isValidStrategy,
+        remainingPathLengths: remainingPathLengths
+    };
+}
@@ -0,0 +1,101 @@
+var errors = require("./errors");
+
+
+/**
+ * Runs the work of a subgraph vertex (see PigeonKeeper.addSubgraph): starts a run of the inner PK, and reports its
+ * results, or what went wrong, exactly once
+ * <br />
+ * The inner run gets the subgraph vertex's signal, so when the vertex times out or the outer run is aborted, the inner
+ * run is aborted too (and its unfinished vertices are CANCELLED). When it doesn't go well, the vertex FAILs with a
+ * SubgraphFailedError whose cause is what the inner run ended with, inner report and all.
+ *
+ * @param {Object} subgraph - {pk, sharedData}: the inner PK, and optionally sharedData(context), which returns (a
+ *                            Promise of) the sharedData to start it with; by default, it gets the outer sharedData (or
+ *                            config, in data-flow mode)
+ * @param {Object} context - The subgraph vertex's task context ({vertexId, inputs, sharedData or config, signal})
+ * @param {Function} callback - Called as callback(err, results) once the inner run is over; results are those of its report
+ * @returns {Object} {run}: the inner run, once it has been started (null until then)
+ */
+function runSubgraph(subgraph, context, callback)
+{
+    var started = {"run": null};
+    var reported = false;
+
+    function report(err, results)
+    {
+        // A callback that throws lands in the catch-all below, which mustn't report a second time
+        if(!reported)
+        {
+            reported = true;
+            callback(err, results);
+        }
+    }
+
+    Promise.resolve().then(function ()
+    {
+        if(subgraph.sharedData)
+        {
+            return subgraph.sharedData(context);
+        }
+
+        return context.sharedData !== undefined ? context.sharedData : context.config;
+    }).then(function (sharedData)
+    {
+        if(context.signal && context.signal.aborted)
+        {
+            // The vertex is already over (it timed out, or the run was aborted) - no point starting anything
+            return;
+        }
+
+        var innerRun = subgraph.pk.startAsSubgraph(sharedData, context.signal);
+
+        started.run = innerRun.run;
+        return innerRun.promise.then(function (innerReport)
+        {
+            report(null, innerReport.results);
+        }, function (err)
+        {
+            report(new errors.SubgraphFailedError(context.vertexId, err));
+        });
+    }).then(null, function (err)
+    {
+        report(err || new Error("sharedData of subgraph vertex " + context.vertexId + " couldn't be selected"));
+    });
+
+    return started;
+}
+
+/**
+ * Namespaces the vertex details of an inner run under the subgraph vertex's ID, so e.g. vertex "load" of subgraph
+ * vertex "etl" becomes "etl/load"; the vertices of subgraphs further down get the prefix as well ("etl/sub/load")
+ *
+ * @param {string} vertexId - ID of the subgraph vertex
+ * @param {Object} vertices - Details of the inner run's vertices, by vertex ID
+ * @returns {Object}
+ */
+function namespacedVertices(vertexId, vertices)
+{
+    var namespaced = {};
+
+    for(var innerVertexId in vertices)
+    {
+        var details = vertices[innerVertexId];
+
+        if(details.vertices)
+        {
+            details.vertices = namespacedVertices(vertexId, details.vertices);
+        }
+
+        namespaced[vertexId + "/" + innerVertexId] = details;
+    }
+
+    return namespaced;
+}
+
+if(typeof module !== "undefined")
+{
+    module.exports = {
+        runSubgraph: runSubgraph,
+        namespacedVertices: namespacedVertices
+    };
+}
@@ -0,0 +1,128 @@
+/**
+ * Runs a task function on behalf of a vertex and reports its outcome exactly once
+ *
+ * A task may be written in any of three styles:
+ * <ul>
+ * <li>returns a Promise (e.g. an async function) - resolve means success, reject means failure</li>
+ * <li>Node-style, i.e. declares a second parameter - gets called with (context, callback) and calls callback(err, data); if
+ *     it returns a Promise all the same (e.g. an async function that declares an extra parameter), whichever of the two
+ *     comes first counts. Throwing before calling back means failure; throwing after it is a bug in the task, and is
+ *     rethrown on the next tick</li>
+ * <li>plain synchronous function - returning means success, throwing means failure</li>
+ * </ul>
+ *
+ * @param {Function} task - The task function
+ * @param {Object} context - Passed to the task as its first argument
+ * @param {Function} callback - Called as callback(err, data) once the task is finished
+ */
+function runTask(task, context, callback)
+{
+    var settled = false;
+    var returnValue;
+
+    function settle(err, data)
+    {
+        if(!settled)
+        {
+            settled = true;
+            callback(err, data);
+        }
+    }
+
+    function onSuccess(data)
+    {
+        settle(null, data);
+    }
+
+    function onFailure(err)
+    {
+        settle(asError(err), undefined);
+    }
+
+    if(task.length >= 2)
+    {
+        // Node-style task
+        var calledBack = false;
+
+        try
+        {
+            returnValue = task(context, function (err, data)
+            {
+                calledBack = true;
+
+                // Settle on the next tick, even if the task calls back right away, so that neither the rest of the run
+                // nor anything it throws ends up inside the task's call (and a long chain of such tasks can't overflow the stack)
+                process.nextTick(function ()
+                {
+                    if(err)
+                    {
+                        onFailure(err);
+                    }
+                    else
+                    {
+                        onSuccess(data);
+                    }
+                });
+            });
+        }
+        catch(err)
+        {
+            if(calledBack)
+            {
+                // The task has reported already, so this is a bug in the task rather than its outcome: let it surface,
+                // as an error thrown after calling back would anywhere else
+                process.nextTick(function () {throw err;});
+            }
+            else
+            {
+                process.nextTick(function () {onFailure(err);});
+            }
+
+            return;
+        }
+
+        if(returnValue && typeof returnValue.then === "function")
+        {
+            returnValue.then(onSuccess, onFailure);
+        }
+    }
+    else
+    {
+        try
+        {
+            returnValue = task(context);
+        }
+        catch(err)
+        {
+            // Report synchronous outcomes on the next tick, just like the other styles do
+            process.nextTick(function () {onFailure(err);});
+            return;
+        }
+
+        if(returnValue && typeof returnValue.then === "function")
+        {
+            returnValue.then(onSuccess, onFailure);
+        }
+        else
+        {
+            process.nextTick(function () {onSuccess(returnValue);});
+        }
+    }
+}
+
+/**
+ * Makes sure a failure is always reported with something truthy, since a falsy err means success to the caller
+ *
+ * @private
+ * @param {*} err - Whatever the task failed with
+ * @returns {*}
+ */
+function asError(err)
+{
+    return err ? err : new Error("Task failed with a falsy error value: " + err);
+}
+
+if(typeof module !== "undefined")
+{
+    module.exports = runTask;
+}
@@ -1,16 +1,18 @@
 var events = require("events");
+var errors = require("./errors");
 
 /**
  * @enum {string}
  */
-var VALID_STATES = ["NOT_READY", "READY", "IN_PROGRESS", "SUCCESS", "FAIL"];
+var VALID_STATES = ["NOT_READY", "READY", "IN_PROGRESS", "RETRYING", "SUCCESS", "SKIPPED", "FAIL", "CANCELLED"];
+var FINAL_STATES = ["SUCCESS", "SKIPPED", "FAIL", "CANCELLED"];
 
 
 /**
  * Creates a vertex for use in a digraph
  *
  * @constructor
- * @param {string} pkGloballyUniqueId - ID of the associated PigeonKeeper, usually passed-in from digraph
+ * @param {string} pkGloballyUniqueId - ID of the associated PigeonKeeper run, usually passed-in from digraph
  * @param {string} id - The ID of this vertex
  * @param {VALID_STATES} state - The initial state of this vertex
  * @param {Object} data - Optional data object associated with this vertex
@@ -20,16 +22,25 @@ function Vertex(pkGloballyUniqueId, id, state, data)
     var self = this;
     var pkGuid = pkGloballyUniqueId;
     var serviceStartMethod;
+    var readySince = null;             // When the vertex last became READY, while it waits to be started
+    var executingSince = null;         // When the process was last started, while it is running
 
     if(VALID_STATES.indexOf(state) > -1)
     {
         this.id = id;
         this.state = state;
         this.data = data;
+        this.error = null;
+        this.attempts = 0;             // How many times the process has been started
+        this.readyTime = null;         // Timestamps (ms) of when the vertex first became READY, when the process (last)
+        this.startTime = null;         // started and when the vertex became final
+        this.endTime = null;
+        this.queueWaitMs = 0;          // Time spent READY before being started, and IN_PROGRESS, over all attempts
+        this.executionMs = 0;
     }
     else
     {
-        throw new Error("Invalid State", "Invalid initial state: " + state);
+        throw new errors.InvalidStateError(state, id);
     }
 
     /**
@@ -41,12 +52,59 @@ function Vertex(pkGloballyUniqueId, id, state, data)
     {
         if(VALID_STATES.indexOf(newState) > -1)
         {
+            var previousState = this.state;
+            var now = Date.now();
             this.state = newState;
 
+            if(previousState == "IN_PROGRESS" && newState != "IN_PROGRESS" && executingSince !== null)
+            {
+                this.executionMs += now - executingSince;
+                executingSince = null;
+            }
+
+            if(newState == "NOT_READY")
+            {
+                this.attempts = 0;
+                this.error = null;
+                this.readyTime = null;
+                this.startTime = null;
+                this.endTime = null;
+                this.queueWaitMs = 0;
+                this.executionMs = 0;
+                readySince = null;
+                executingSince = null;
+            }
+            else if(newState == "READY" && previousState != newState)
+            {
+                this.readyTime = this.readyTime !== null ? this.readyTime : now;
+                readySince = now;
+            }
+            else if(FINAL_STATES.indexOf(newState) > -1 && previousState != newState)
+            {
+                this.endTime = now;
+            }
+
+            if(previousState == "READY" && newState != "READY" && readySince !== null)
+            {
+                this.queueWaitMs += now - readySince;
+                readySince = null;
+            }
+
+            if(previousState != newState)
+            {
+                self.emit(pkGuid + ":" + "stateChange", previousState, newState);
+            }
+
             if(newState == "IN_PROGRESS")
             {
-                if(self.parent.parent.isRunning())
+                if(previousState == "IN_PROGRESS")
+                {
+                    // Already started - the process must only be started once
+                }
+                else if(self.parent.parent.isRunning())
                 {
+                    this.startTime = now;
+                    executingSince = now;
                     self.emit(pkGuid + ":" + "start");
                 }
                 else
@@ -57,7 +115,7 @@ function Vertex(pkGloballyUniqueId, id, state, data)
         }
         else
         {
-            throw new Error("Invalid State", "Invalid state: " + newState);
+            throw new errors.InvalidStateError(newState, self.id);
         }
     };
 
@@ -78,7 +136,8 @@ function Vertex(pkGloballyUniqueId, id, state, data)
      */
     this.processSuccessful = function (data)
     {
-        this.data = data;
+        self.data = data;
+        self.error = null;
         self.parent.parent.setState(id, "SUCCESS");
     };
 
@@ -89,6 +148,7 @@ function Vertex(pkGloballyUniqueId, id, state, data)
      */
     this.processFailed = function (err)
     {
+        self.error = err;
         self.parent.parent.setState(id, "FAIL");
     };
 }
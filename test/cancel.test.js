@@ -0,0 +1,107 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var PigeonKeeper = require("../lib/pigeonkeeper");
+
+var silentLogger = {"log": function () {}};
+
+
+/**
+ * A task that succeeds with value after ms milliseconds, unless its signal is aborted first
+ *
+ * @param {number} ms
+ * @param {*} value
+ * @returns {Function}
+ */
+function after(ms, value)
+{
+    return function (context)
+    {
+        return new Promise(function (resolve, reject)
+        {
+            var timer = setTimeout(function () {resolve(value);}, ms);
+
+            context.signal.addEventListener("abort", function () {clearTimeout(timer); reject(context.signal.reason);});
+        });
+    };
+}
+
+test("a run started with an aborted signal starts no work at all", function ()
+{
+    var pk = new PigeonKeeper({"name": "preaborted", "logger": silentLogger});
+    var controller = new AbortController();
+    var calls = 0;
+
+    pk.addTask("root", function () {calls++;});
+    pk.addTask("child", function () {calls++;});
+    pk.addEdge("root", "child");
+    controller.abort("not today");
+
+    return pk.start({}, {"signal": controller.signal}).then(function ()
+    {
+        assert.fail("the run should have been cancelled");
+    }, function (err)
+    {
+        assert.strictEqual(err.name, "CancelledError");
+        assert.strictEqual(err.reason, "not today");
+        assert.strictEqual(calls, 0);
+        assert.strictEqual(err.report.vertices.root.state, "CANCELLED");
+        assert.strictEqual(err.report.vertices.child.state, "CANCELLED");
+        assert.strictEqual(pk.isRunning(), false);
+    });
+});
+
+test("when a vertex fails under the stop failure policy, vertices in progress are cancelled and nothing moves on", function ()
+{
+    var pk = new PigeonKeeper({"name": "stop", "logger": silentLogger, "failurePolicy": "stop"});
+    var aborted = false;
+    var childCalls = 0;
+
+    pk.addTask("a", function () {return new Promise(function (resolve, reject) {setTimeout(function () {reject(new Error("a failed"));}, 10);});});
+    pk.addTask("b", function (context)
+    {
+        context.signal.addEventListener("abort", function () {aborted = true;});
+        return after(40, "b done")(context);
+    });
+    pk.addTask("c", function () {childCalls++;});
+    pk.addEdge("b", "c");
+
+    return pk.start({}).then(function ()
+    {
+        assert.fail("the run should have failed");
+    }, function (err)
+    {
+        assert.strictEqual(err.name, "RunFailedError");
+        assert.strictEqual(err.report.vertices.a.state, "FAIL");
+        assert.strictEqual(err.report.vertices.b.state, "CANCELLED");
+        assert.strictEqual(err.report.vertices.c.state, "CANCELLED");
+        assert.strictEqual(aborted, true);
+
+        // Long enough for b to have finished, had it not been stopped
+        return new Promise(function (resolve) {setTimeout(resolve, 60);});
+    }).then(function ()
+    {
+        var state = pk.overallState();
+
+        assert.strictEqual(state.vertices.b.state, "CANCELLED");
+        assert.strictEqual(state.vertices.c.state, "CANCELLED");
+        assert.strictEqual(childCalls, 0);
+    });
+});
+
+test("aborting a run cancels its unfinished vertices", function ()
+{
+    var pk = new PigeonKeeper({"name": "abort", "logger": silentLogger});
+    var controller = new AbortController();
+
+    pk.addTask("slow", after(1000, "never"));
+    setTimeout(function () {controller.abort("enough");}, 10);
+
+    return pk.start({}, {"signal": controller.signal}).then(function ()
+    {
+        assert.fail("the run should have been cancelled");
+    }, function (err)
+    {
+        assert.strictEqual(err.name, "CancelledError");
+        assert.strictEqual(err.report.vertices.slow.state, "CANCELLED");
+    });
+});
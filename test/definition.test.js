@@ -0,0 +1,78 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var PigeonKeeper = require("../lib/pigeonkeeper");
+
+var silentLogger = {"log": function () {}};
+var taskRegistry = {"fetch": function () {return 1;}, "save": function () {return 2;}};
+
+
+/**
+ * A small valid definition, which each test spoils in its own way
+ *
+ * @returns {Object}
+ */
+function definition()
+{
+    return {
+        "name": "definition",
+        "vertices": [
+            {"id": "fetch", "task": "fetch", "options": {"retry": {"maxAttempts": 2}}},
+            {"id": "save", "task": "save", "dependsOn": ["fetch"]}
+        ],
+        "edges": []
+    };
+}
+
+/**
+ * Asserts that fromDefinition refuses the definition with a DefinitionError at the given path
+ *
+ * @param {Object} spoiled - The definition
+ * @param {string} path - Where the problem is
+ */
+function assertRejectedAt(spoiled, path)
+{
+    assert.throws(function () {PigeonKeeper.fromDefinition(spoiled, taskRegistry);}, function (err)
+    {
+        assert.strictEqual(err.name, "DefinitionError");
+        assert.strictEqual(err.path, path);
+        assert.match(err.message, /unknown key/);
+        return true;
+    });
+}
+
+test("a valid definition is accepted", function ()
+{
+    var pk = PigeonKeeper.fromDefinition(definition(), taskRegistry, {"logger": silentLogger});
+
+    return pk.start({}).then(function (report)
+    {
+        assert.strictEqual(report.vertices.save.state, "SUCCESS");
+    });
+});
+
+test("unknown keys are refused at every level, with their path", function ()
+{
+    var spoiled = definition();
+    spoiled.concurency = 2;
+    assertRejectedAt(spoiled, "concurency");
+
+    spoiled = definition();
+    spoiled.vertices[1].depends_on = spoiled.vertices[1].dependsOn;
+    assertRejectedAt(spoiled, "vertices[1].depends_on");
+
+    spoiled = definition();
+    spoiled.vertices[0].options.timout = 100;
+    assertRejectedAt(spoiled, "vertices[0].options.timout");
+
+    spoiled = definition();
+    spoiled.vertices[0].options.retry.attempts = 3;
+    assertRejectedAt(spoiled, "vertices[0].options.retry.attempts");
+
+    spoiled = definition();
+    spoiled.defaultRetry = {"maxAttempts": 2, "delayMs": 10};
+    assertRejectedAt(spoiled, "defaultRetry.delayMs");
+
+    spoiled = definition();
+    spoiled.edges = [{"from": "fetch", "to": "save", "when": "always"}];
+    assertRejectedAt(spoiled, "edges[0].when");
+});
@@ -0,0 +1,50 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var PigeonKeeper = require("../lib/pigeonkeeper");
+
+var silentLogger = {"log": function () {}};
+
+
+test("listeners that throw are logged and don't stall the run", function ()
+{
+    var logged = [];
+    var pk = new PigeonKeeper({"name": "listeners", "logger": {"log": function (level, msg, fields) {logged.push({"level": level, "msg": msg, "fields": fields});}}});
+    var completed = 0;
+
+    pk.addTask("a", function () {return 1;});
+    pk.addTask("b", function () {return 2;});
+    pk.addEdge("a", "b");
+
+    ["runStart", "vertexStart", "vertexStateChange", "vertexSuccess", "concurrencySlotFreed"].forEach(function (eventName)
+    {
+        pk.on(eventName, function () {throw new Error(eventName + " listener");});
+    });
+    pk.on("runComplete", function () {completed++; throw new Error("runComplete listener");});
+
+    return pk.start({}).then(function (report)
+    {
+        assert.strictEqual(report.vertices.b.state, "SUCCESS");
+        assert.strictEqual(completed, 1);
+        assert.ok(logged.some(function (entry)
+        {
+            return entry.level == "error" && entry.msg == "Listener of vertexSuccess threw" && entry.fields.error == "vertexSuccess listener";
+        }));
+    });
+});
+
+test("a listener that throws on vertexFail doesn't keep the run from failing", function ()
+{
+    var pk = new PigeonKeeper({"name": "failing", "logger": silentLogger});
+
+    pk.addTask("a", function () {throw new Error("boom");});
+    pk.on("vertexFail", function () {throw new Error("listener");});
+
+    return pk.start({}).then(function ()
+    {
+        assert.fail("the run should have failed");
+    }, function (err)
+    {
+        assert.strictEqual(err.report.vertices.a.error.message, "boom");
+        assert.strictEqual(pk.isRunning(), false);
+    });
+});
@@ -0,0 +1,64 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var PigeonKeeper = require("../lib/pigeonkeeper");
+
+var silentLogger = {"log": function () {}};
+
+
+/**
+ * A PK with a single map vertex over the numbers 0 to numItems - 1, whose item tasks double them
+ *
+ * @param {number} numItems
+ * @param {Function} taskFactory - Makes the task of an item
+ * @returns {PigeonKeeper}
+ */
+function mapPigeonKeeper(numItems, taskFactory)
+{
+    var pk = new PigeonKeeper({"name": "map", "logger": silentLogger});
+    var items = [];
+
+    for(var i = 0; i < numItems; i++)
+    {
+        items.push(i);
+    }
+
+    pk.addMap("double", function () {return items;}, taskFactory, {"concurrency": 1});
+
+    return pk;
+}
+
+test("a one-at-a-time map over many items that finish right away doesn't overflow the stack", function ()
+{
+    var pk = mapPigeonKeeper(5000, function (item)
+    {
+        return function (context, callback) {callback(null, item * 2);};
+    });
+
+    return pk.start({}).then(function (report)
+    {
+        assert.strictEqual(report.success, true);
+        assert.strictEqual(report.vertices.double.data.length, 5000);
+        assert.strictEqual(report.vertices.double.data[4999], 9998);
+    });
+});
+
+test("a map fails with a MapItemFailedError when an item fails, and cancels the items after it", function ()
+{
+    var pk = mapPigeonKeeper(10, function (item)
+    {
+        return function () {if(item == 3) {throw new Error("item 3");} return item * 2;};
+    });
+
+    return pk.start({}).then(function ()
+    {
+        assert.fail("the run should have failed");
+    }, function (err)
+    {
+        var vertex = err.report.vertices.double;
+
+        assert.strictEqual(vertex.error.name, "MapItemFailedError");
+        assert.strictEqual(vertex.items[2].state, "SUCCESS");
+        assert.strictEqual(vertex.items[3].state, "FAIL");
+        assert.strictEqual(vertex.items[4].state, "CANCELLED");
+    });
+});
@@ -0,0 +1,67 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var PigeonKeeper = require("../lib/pigeonkeeper");
+
+
+/**
+ * Calls fn, which must throw an InvalidOptionError, and returns that error
+ *
+ * @param {Function} fn
+ * @returns {InvalidOptionError}
+ */
+function invalidOption(fn)
+{
+    try
+    {
+        fn();
+    }
+    catch(err)
+    {
+        assert.strictEqual(err.name, "InvalidOptionError");
+        return err;
+    }
+
+    assert.fail("expected an InvalidOptionError");
+}
+
+test("a bad timeout names the option it was given as", function ()
+{
+    var pk = new PigeonKeeper({"name": "names"});
+
+    assert.strictEqual(invalidOption(function () {pk.setDefaultTimeout(-1);}).option, "defaultTimeout");
+    assert.strictEqual(invalidOption(function () {pk.setRunTimeout(Infinity);}).option, "runTimeout");
+    assert.strictEqual(invalidOption(function () {new PigeonKeeper({"name": "n", "runTimeout": "5"});}).option, "runTimeout");
+    assert.strictEqual(invalidOption(function () {pk.setDefaultRetry({"maxAttempts": 2, "delay": -5});}).option, "defaultRetry.delay");
+    assert.strictEqual(invalidOption(function () {pk.setDefaultRetry({"maxAttempts": 0});}).option, "defaultRetry.maxAttempts");
+});
+
+test("a bad vertex option names the option and the vertex", function ()
+{
+    var pk = new PigeonKeeper({"name": "vertex"});
+    var err = invalidOption(function () {pk.addTask("load", function () {}, {"timeout": -1});});
+
+    assert.strictEqual(err.option, "timeout");
+    assert.strictEqual(err.vertexId, "load");
+    assert.match(err.message, /timeout of vertex load/);
+
+    err = invalidOption(function () {pk.addTask("load", function () {}, {"retry": {"maxAttempts": 2, "maxDelay": Infinity}});});
+
+    assert.strictEqual(err.option, "retry.maxDelay");
+    assert.strictEqual(err.vertexId, "load");
+    assert.match(err.message, /retry\.maxDelay of vertex load/);
+});
+
+test("the positional constructor takes its arguments as leniently as it always did", function ()
+{
+    assert.strictEqual(new PigeonKeeper("a", null, false, "3").toDefinition({}).concurrency, 3);
+    assert.strictEqual(new PigeonKeeper("a", null, false, 2.5).toDefinition({}).concurrency, 3);
+    assert.strictEqual(new PigeonKeeper("a", null, true, 0).toDefinition({}).concurrency, null);
+});
+
+test("unknown options and non-boolean dataFlow are refused", function ()
+{
+    assert.strictEqual(invalidOption(function () {new PigeonKeeper({"name": "n", "maxConcurrency": 2});}).option, "maxConcurrency");
+    assert.strictEqual(invalidOption(function () {new PigeonKeeper({"name": "n", "dataFlow": "yes"});}).option, "dataFlow");
+    assert.strictEqual(invalidOption(function () {new PigeonKeeper({"name": "n", "userObject": {}});}).option, "userObject");
+    assert.strictEqual(invalidOption(function () {new PigeonKeeper({"name": "n"}).addTask("a", function () {}, {"timout": 5});}).option, "timout");
+});
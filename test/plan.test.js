@@ -0,0 +1,33 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var PigeonKeeper = require("../lib/pigeonkeeper");
+
+var silentLogger = {"log": function () {}};
+
+
+test("a plan has the keys it documents, and no unreachable list", function ()
+{
+    var pk = new PigeonKeeper({"name": "plan", "logger": silentLogger});
+
+    ["a", "b", "c", "lonely"].forEach(function (vertexId) {pk.addTask(vertexId, function () {});});
+    pk.addEdge("a", "b");
+    pk.addEdge("a", "c");
+
+    var plan = pk.plan({"defaultDuration": 10});
+
+    assert.deepStrictEqual(Object.keys(plan).sort(),
+        ["criticalPath", "makespan", "maxConcurrency", "maxWidth", "orphans", "timeline", "topologicalSortOrder", "waves"]);
+    assert.deepStrictEqual(plan.orphans, ["lonely"]);
+    assert.deepStrictEqual(plan.criticalPath.vertexIds, ["a", "b"]);
+});
+
+test("an edge that would close a cycle is refused, so a plan covers every vertex", function ()
+{
+    var pk = new PigeonKeeper({"name": "cycle", "logger": silentLogger});
+
+    ["a", "b"].forEach(function (vertexId) {pk.addTask(vertexId, function () {});});
+    pk.addEdge("a", "b");
+
+    assert.throws(function () {pk.addEdge("b", "a");});
+    assert.deepStrictEqual(pk.plan().topologicalSortOrder, ["a", "b"]);
+});
@@ -0,0 +1,74 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var EventEmitter = require("events");
+var PigeonKeeper = require("../lib/pigeonkeeper");
+
+var silentLogger = {"log": function () {}};
+
+
+test("a service that emits an error after its vertex timed out doesn't crash the process", function ()
+{
+    var service = new EventEmitter();
+    var pk = new PigeonKeeper({"name": "late", "logger": silentLogger});
+
+    pk.addVertex("slow", service, function ()
+    {
+        setTimeout(function () {service.emit("error", new Error("late"));}, 30);
+    }, {"timeout": 10});
+
+    return pk.start({}).then(function ()
+    {
+        assert.fail("the run should have failed");
+    }, function (err)
+    {
+        assert.strictEqual(err.report.vertices.slow.error.name, "TaskTimeoutError");
+
+        // Give the service time to emit its late error
+        return new Promise(function (resolve) {setTimeout(resolve, 50);});
+    }).then(function ()
+    {
+        assert.strictEqual(service.listenerCount("error"), 1);
+    });
+});
+
+test("a service that is run again and again doesn't pile up listeners", function ()
+{
+    var service = new EventEmitter();
+    var pk = new PigeonKeeper({"name": "again", "logger": silentLogger});
+    var runs = [];
+
+    pk.addVertex("quick", service, function () {process.nextTick(function () {service.emit("success", 1);});});
+
+    for(var i = 0; i < 20; i++)
+    {
+        runs.push(i);
+    }
+
+    return runs.reduce(function (previous)
+    {
+        return previous.then(function () {return pk.start({});});
+    }, Promise.resolve()).then(function ()
+    {
+        assert.strictEqual(service.listenerCount("success"), 0);
+        assert.strictEqual(service.listenerCount("error"), 1);
+    });
+});
+
+test("a service that throws from serviceStart fails its vertex instead of hanging the run", function ()
+{
+    var service = new EventEmitter();
+    var pk = new PigeonKeeper({"name": "throws", "logger": silentLogger});
+
+    pk.addVertex("a", service, function () {throw new Error("boom");});
+    pk.addTask("b", function () {return 2;});
+
+    return pk.start({}).then(function ()
+    {
+        assert.fail("the run should have failed");
+    }, function (err)
+    {
+        assert.strictEqual(err.report.vertices.a.error.message, "boom");
+        assert.strictEqual(err.report.vertices.b.state, "SUCCESS");
+        assert.strictEqual(pk.isRunning(), false);
+    });
+});
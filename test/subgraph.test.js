@@ -0,0 +1,99 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var PigeonKeeper = require("../lib/pigeonkeeper");
+
+var silentLogger = {"log": function () {}};
+
+
+/**
+ * Runs fn with a listener for unhandled rejections in place, and resolves with those it caught
+ *
+ * @param {Function} fn - Returns a Promise
+ * @returns {Promise}
+ */
+function catchingUnhandledRejections(fn)
+{
+    var unhandled = [];
+    var onUnhandled = function (reason) {unhandled.push(reason);};
+
+    process.on("unhandledRejection", onUnhandled);
+
+    return fn().then(function ()
+    {
+        // Unhandled rejections are reported after the microtasks have run
+        return new Promise(function (resolve) {setTimeout(resolve, 20);});
+    }).then(function ()
+    {
+        process.removeListener("unhandledRejection", onUnhandled);
+        return unhandled;
+    }, function (err)
+    {
+        process.removeListener("unhandledRejection", onUnhandled);
+        throw err;
+    });
+}
+
+test("a failing inner run fails the subgraph vertex without an unhandled rejection", function ()
+{
+    return catchingUnhandledRejections(function ()
+    {
+        var inner = new PigeonKeeper({"name": "inner", "logger": silentLogger});
+        var outer = new PigeonKeeper({"name": "outer", "logger": silentLogger});
+
+        inner.addTask("broken", function () {throw new Error("inner boom");});
+        outer.addSubgraph("sub", inner);
+
+        return outer.start({}).then(function ()
+        {
+            assert.fail("the run should have failed");
+        }, function (err)
+        {
+            var subError = err.report.vertices.sub.error;
+
+            assert.strictEqual(subError.name, "SubgraphFailedError");
+            assert.strictEqual(subError.vertexId, "sub");
+            assert.strictEqual(subError.cause.report.vertices.broken.error.message, "inner boom");
+        });
+    }).then(function (unhandled)
+    {
+        assert.deepStrictEqual(unhandled, []);
+    });
+});
+
+test("a sharedData selector that throws fails the subgraph vertex", function ()
+{
+    return catchingUnhandledRejections(function ()
+    {
+        var inner = new PigeonKeeper({"name": "inner", "logger": silentLogger});
+        var outer = new PigeonKeeper({"name": "outer", "logger": silentLogger});
+
+        inner.addTask("fine", function () {return 1;});
+        outer.addSubgraph("sub", inner, {"sharedData": function () {throw new Error("no data");}});
+
+        return outer.start({}).then(function ()
+        {
+            assert.fail("the run should have failed");
+        }, function (err)
+        {
+            assert.strictEqual(err.report.vertices.sub.error.message, "no data");
+        });
+    }).then(function (unhandled)
+    {
+        assert.deepStrictEqual(unhandled, []);
+    });
+});
+
+test("a subgraph vertex succeeds with the inner run's results", function ()
+{
+    var inner = new PigeonKeeper({"name": "inner", "logger": silentLogger});
+    var outer = new PigeonKeeper({"name": "outer", "logger": silentLogger});
+
+    inner.addTask("fine", function (ctx) {ctx.sharedData.touched = true; return 1;});
+    outer.addSubgraph("sub", inner, {"sharedData": function () {return {"fromOuter": true};}});
+
+    return outer.start({}).then(function (report)
+    {
+        assert.strictEqual(report.vertices.sub.state, "SUCCESS");
+        assert.deepStrictEqual(report.vertices.sub.data, {"fromOuter": true, "touched": true});
+    });
+});
@@ -0,0 +1,92 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var PigeonKeeper = require("../lib/pigeonkeeper");
+var runTask = require("../lib/task");
+
+var silentLogger = {"log": function () {}};
+
+
+test("a long chain of Node-style tasks that call back right away doesn't overflow the stack", function ()
+{
+    var pk = new PigeonKeeper({"name": "chain", "logger": silentLogger});
+    var numVertices = 3000;
+
+    for(var i = 0; i < numVertices; i++)
+    {
+        pk.addTask("v" + i, function (context, callback) {callback(null, context.vertexId);});
+
+        if(i > 0)
+        {
+            pk.addEdge("v" + (i - 1), "v" + i);
+        }
+    }
+
+    return pk.start({}).then(function (report)
+    {
+        assert.strictEqual(report.success, true);
+        assert.strictEqual(report.vertices["v" + (numVertices - 1)].data, "v" + (numVertices - 1));
+    });
+});
+
+test("a Node-style task that throws before calling back fails", function (t, done)
+{
+    runTask(function (context, callback) {throw new Error("boom");}, {}, function (err)
+    {
+        assert.strictEqual(err.message, "boom");
+        done();
+    });
+});
+
+test("a Node-style task is settled on the next tick, not inside its own call", function (t, done)
+{
+    var returned = false;
+
+    runTask(function (context, callback) {callback(null, 1);}, {}, function (err, data)
+    {
+        assert.strictEqual(returned, true);
+        assert.strictEqual(data, 1);
+        done();
+    });
+
+    returned = true;
+});
+
+test("an error a Node-style task throws after calling back is rethrown, not taken as its outcome", function (t, done)
+{
+    var listeners = process.listeners("uncaughtException");
+    var outcome = null;
+
+    process.removeAllListeners("uncaughtException");
+    process.once("uncaughtException", function (err)
+    {
+        listeners.forEach(function (listener) {process.on("uncaughtException", listener);});
+        assert.strictEqual(err.message, "after");
+        setImmediate(function ()
+        {
+            assert.deepStrictEqual(outcome, [null, 2]);
+            done();
+        });
+    });
+
+    runTask(function (context, callback) {callback(null, 2); throw new Error("after");}, {}, function (err, data)
+    {
+        outcome = [err, data];
+    });
+});
+
+test("an async task that declares an extra parameter settles from the Promise it returns", function ()
+{
+    var pk = new PigeonKeeper({"name": "async", "logger": silentLogger});
+
+    pk.addTask("ok", async function (context, extra) {return 5;});
+    pk.addTask("bad", async function (context, extra) {throw new Error("rejected");});
+
+    return pk.start({}).then(function ()
+    {
+        assert.fail("the run should have failed");
+    }, function (err)
+    {
+        assert.strictEqual(err.report.vertices.ok.data, 5);
+        assert.strictEqual(err.report.vertices.bad.error.message, "rejected");
+    });
+});
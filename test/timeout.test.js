@@ -0,0 +1,49 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var PigeonKeeper = require("../lib/pigeonkeeper");
+
+var silentLogger = {"log": function () {}};
+
+
+test("timeouts a timer can't wait for are refused", function ()
+{
+    var pk = new PigeonKeeper({"name": "timeouts", "logger": silentLogger});
+    var tooLong = [Infinity, 2147483648, NaN, -1, "10"];
+
+    tooLong.forEach(function (timeout)
+    {
+        assert.throws(function () {pk.setDefaultTimeout(timeout);}, {"name": "InvalidOptionError"});
+        assert.throws(function () {pk.setRunTimeout(timeout);}, {"name": "InvalidOptionError"});
+        assert.throws(function () {pk.addTask("a", function () {}, {"timeout": timeout});}, {"name": "InvalidOptionError"});
+        assert.throws(function () {pk.setDefaultRetry({"maxAttempts": 2, "delay": timeout});}, {"name": "InvalidOptionError"});
+        assert.throws(function () {new PigeonKeeper({"name": "t", "runTimeout": timeout});}, {"name": "InvalidOptionError"});
+    });
+});
+
+test("the longest timeout a timer can wait for is fine, and doesn't fire early", function ()
+{
+    var pk = new PigeonKeeper({"name": "longest", "logger": silentLogger, "defaultTimeout": 2147483647, "runTimeout": 2147483647});
+
+    pk.addTask("a", function () {return new Promise(function (resolve) {setTimeout(function () {resolve("done");}, 20);});});
+
+    return pk.start({}).then(function (report)
+    {
+        assert.strictEqual(report.success, true);
+        assert.strictEqual(report.vertices.a.data, "done");
+    });
+});
+
+test("a vertex that takes longer than its timeout fails with a TaskTimeoutError", function ()
+{
+    var pk = new PigeonKeeper({"name": "slow", "logger": silentLogger});
+
+    pk.addTask("a", function () {return new Promise(function (resolve) {setTimeout(resolve, 100);});}, {"timeout": 10});
+
+    return pk.start({}).then(function ()
+    {
+        assert.fail("the run should have failed");
+    }, function (err)
+    {
+        assert.strictEqual(err.report.vertices.a.error.name, "TaskTimeoutError");
+    });
+});